@@ -0,0 +1,86 @@
+const RohlikClient = require('./lib/RohlikClient');
+
+// Every route takes an optional `device` query parameter (the device data ID)
+// to pick an account; without it the first paired device is used.
+
+module.exports = {
+  async getCart({ homey, query }) {
+    const device = homey.app.getDevice(query.device);
+    return device.client.getCartContent();
+  },
+
+  // body: { productId, quantity, whenAvailable }
+  async addCartItem({ homey, query, body }) {
+    const device = homey.app.getDevice(query.device);
+    await device.onFlowActionAddItemById({
+      product_id: String(body.productId || ''),
+      pieces: Number(body.quantity) || 1,
+      when_available: Boolean(body.whenAvailable)
+    });
+    return device.client.getCartContent();
+  },
+
+  async removeCartItem({ homey, params, query }) {
+    const device = homey.app.getDevice(query.device);
+    await device.onFlowActionRemoveItemById({ product_id: params.productId });
+    return device.client.getCartContent();
+  },
+
+  async getUpcomingOrders({ homey, query }) {
+    const device = homey.app.getDevice(query.device);
+    return device.client.getUpcomingOrders();
+  },
+
+  async getDelivery({ homey, query }) {
+    const device = homey.app.getDevice(query.device);
+    return {
+      status: device.getCapabilityValue('string_next_delivery_status'),
+      eta: device.getCapabilityValue('measure_next_delivery_eta'),
+      windowStart: device.getCapabilityValue('delivery_window_start'),
+      windowEnd: device.getCapabilityValue('delivery_window_end'),
+      minutesUntilWindow: device.getCapabilityValue('measure_minutes_until_window'),
+      orderEditCutoff: device.getCapabilityValue('order_edit_cutoff'),
+      expressAvailable: device.getCapabilityValue('alarm_slots_available'),
+      express: device.getCapabilityValue('delivery_express'),
+      common: device.getCapabilityValue('delivery_common'),
+      eco: device.getCapabilityValue('delivery_eco'),
+      reservedSlot: device.getCapabilityValue('reserved_slot'),
+      reservedSlotExpiry: device.getCapabilityValue('reserved_slot_expiry')
+    };
+  },
+
+  async getAddresses({ homey, query }) {
+    const device = homey.app.getDevice(query.device);
+    return device.client.getAddresses();
+  },
+
+  // query: { available, address }
+  async getSlots({ homey, query }) {
+    const device = homey.app.getDevice(query.device);
+    const slots = RohlikClient.parseDeliverySlots(await device.client.getDeliverySlots(query.address || undefined));
+    return query.available === 'true' ? slots.filter(slot => slot.available) : slots;
+  },
+
+  // query: { q, limit, sort, bio, brand, category, inStock, onSale }
+  async searchProducts({ homey, query }) {
+    if (!query.q) throw new Error('Missing search query');
+
+    const device = homey.app.getDevice(query.device);
+    return device.client.searchProducts(query.q, Math.min(parseInt(query.limit, 10) || 20, 50), {
+      sort: query.sort,
+      bio: query.bio === 'true',
+      brand: query.brand,
+      category: query.category,
+      inStock: query.inStock === 'true',
+      onSale: query.onSale === 'true'
+    });
+  },
+
+  async getDiagnostics({ homey }) {
+    return homey.app.getDiagnostics();
+  },
+
+  async clearDiagnostics({ homey }) {
+    homey.app.requestLog.clear();
+  }
+};
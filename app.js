@@ -1,8 +1,39 @@
 const Homey = require('homey');
+const RequestLog = require('./lib/RequestLog');
 
 class RohlikApp extends Homey.App {
   async onInit() {
     this.log('RohlikApp has been initialized');
+
+    // Shared by all devices, exported from the app settings for bug reports
+    this.requestLog = new RequestLog(200);
+  }
+
+  // Web API calls go through a paired device so they share its client, session and rate limiting
+  getDevice(deviceId) {
+    const devices = this.homey.drivers.getDriver('rohlik').getDevices();
+    const device = deviceId
+      ? devices.find(d => d.getData().id === deviceId)
+      : devices[0];
+
+    if (!device) throw new Error(deviceId ? `Device ${deviceId} not found` : 'No Rohlik account paired');
+    if (!device.client || !device.client.userId) throw new Error('Device is not logged in');
+    return device;
+  }
+
+  getDiagnostics() {
+    return {
+      app: this.manifest.id,
+      version: this.manifest.version,
+      homeyVersion: this.homey.version,
+      exportedAt: new Date().toISOString(),
+      devices: this.homey.drivers.getDriver('rohlik').getDevices().map(device => ({
+        region: device.getSetting('region'),
+        available: device.getAvailable(),
+        lastErrorType: device.lastErrorType || null
+      })),
+      requests: this.requestLog.toJSON()
+    };
   }
 }
 
@@ -1,5 +1,24 @@
 const Homey = require('homey');
 const RohlikClient = require('../../lib/RohlikClient');
+const Localization = require('../../lib/Localization');
+const Logger = require('../../lib/Logger');
+const { RohlikError, AuthError, OutOfStockError, NotFoundError, CircuitOpenError } = require('../../lib/RohlikErrors');
+const { ON_THE_WAY_STATES, parseDeliveryState, parseUpcomingOrder, parseSlotSummary } = require('../../lib/DeliveryParser');
+const { addDays, getPeriodStart, normalizeOrder, summarizeSpending } = require('../../lib/SpendingAnalytics');
+const { buildPurchaseHistory, estimateIntervals, getDueItems } = require('../../lib/ReplenishmentEngine');
+const { parseItemText, pickProduct } = require('../../lib/ItemTextParser');
+const { toCartLines, toCsv, diffCart } = require('../../lib/CartSnapshot');
+
+const PRICE_HISTORY_LENGTH = 30;
+const REPLENISHMENT_ORDER_COUNT = 30;
+// Order details fetched per background update, so the first run doesn't stall polling
+const REPLENISHMENT_FETCHES_PER_UPDATE = 5;
+
+// Whether a countdown first dropped to `limit` minutes, so countdown triggers fire once per order
+function enteredWindow(minutes, previousMinutes, limit) {
+    const wasInWindow = previousMinutes !== null && previousMinutes !== undefined && previousMinutes <= limit;
+    return minutes <= limit && !wasInWindow;
+}
 
 module.exports = class RohlikDevice extends Homey.Device {
 
@@ -8,6 +27,9 @@ module.exports = class RohlikDevice extends Homey.Device {
 
         const settings = this.getSettings();
 
+        await this.migrateCapabilities();
+        await this.migrateRegionSetting(settings);
+
         // Initialize client with listeners
         this.initClient(settings);
 
@@ -22,6 +44,12 @@ module.exports = class RohlikDevice extends Homey.Device {
             return this.onFlowActionAddItemAutocomplete(query, args);
         });
 
+        this.homey.flow.getActionCard('search_products')
+            .registerRunListener((args, state) => this.onFlowActionSearchProducts(args, state));
+
+        this.homey.flow.getActionCard('add_items_from_text')
+            .registerRunListener((args, state) => this.onFlowActionAddItemsFromText(args, state));
+
         const removeItemCard = this.homey.flow.getActionCard('remove_item');
         removeItemCard.registerRunListener(async (args, state) => {
             return this.onFlowActionRemoveItem(args, state);
@@ -30,6 +58,23 @@ module.exports = class RohlikDevice extends Homey.Device {
             return this.onFlowActionRemoveItemAutocomplete(query, args);
         });
 
+        // Register quantity actions (autocomplete over cart lines)
+        const setItemQuantityCard = this.homey.flow.getActionCard('set_item_quantity');
+        setItemQuantityCard.registerRunListener(async (args, state) => {
+            return this.onFlowActionSetItemQuantity(args, state);
+        });
+        setItemQuantityCard.registerArgumentAutocompleteListener('product_in_cart', async (query, args) => {
+            return this.onFlowActionRemoveItemAutocomplete(query, args);
+        });
+
+        const changeItemQuantityCard = this.homey.flow.getActionCard('change_item_quantity');
+        changeItemQuantityCard.registerRunListener(async (args, state) => {
+            return this.onFlowActionChangeItemQuantity(args, state);
+        });
+        changeItemQuantityCard.registerArgumentAutocompleteListener('product_in_cart', async (query, args) => {
+            return this.onFlowActionRemoveItemAutocomplete(query, args);
+        });
+
         // Register get_product_id action
         const getProductIdCard = this.homey.flow.getActionCard('get_product_id');
         getProductIdCard.registerRunListener(async (args, state) => {
@@ -57,6 +102,118 @@ module.exports = class RohlikDevice extends Homey.Device {
             return this.onFlowActionRemoveItemById(args, state);
         });
 
+        // Register add_shopping_list action
+        const addShoppingListCard = this.homey.flow.getActionCard('add_shopping_list');
+        addShoppingListCard.registerRunListener(async (args, state) => {
+            return this.onFlowActionAddShoppingList(args, state);
+        });
+        addShoppingListCard.registerArgumentAutocompleteListener('shopping_list', async (query, args) => {
+            return this.onFlowActionAddShoppingListAutocomplete(query, args);
+        });
+
+        // Register reorder action
+        const reorderCard = this.homey.flow.getActionCard('reorder');
+        reorderCard.registerRunListener(async (args, state) => {
+            return this.onFlowActionReorder(args, state);
+        });
+        reorderCard.registerArgumentAutocompleteListener('order', async (query, args) => {
+            return this.onFlowActionReorderAutocomplete(query, args);
+        });
+
+        // Register quantity actions by product ID (text input for tags)
+        const setItemQuantityByIdCard = this.homey.flow.getActionCard('set_item_quantity_by_id');
+        setItemQuantityByIdCard.registerRunListener(async (args, state) => {
+            return this.onFlowActionSetItemQuantityById(args, state);
+        });
+
+        const changeItemQuantityByIdCard = this.homey.flow.getActionCard('change_item_quantity_by_id');
+        changeItemQuantityByIdCard.registerRunListener(async (args, state) => {
+            return this.onFlowActionChangeItemQuantityById(args, state);
+        });
+
+        // Register timeslot reservation actions
+        this.homey.flow.getActionCard('reserve_slot_in_window')
+            .registerRunListener((args, state) => this.onFlowActionReserveSlotInWindow(args, state));
+
+        this.homey.flow.getActionCard('reserve_cheapest_slot')
+            .registerRunListener((args, state) => this.onFlowActionReserveCheapestSlot(args, state));
+
+        this.homey.flow.getActionCard('extend_slot_reservation')
+            .registerRunListener((args, state) => this.onFlowActionExtendSlotReservation(args, state));
+
+        this.homey.flow.getActionCard('cancel_slot_reservation')
+            .registerRunListener((args, state) => this.onFlowActionCancelSlotReservation(args, state));
+
+        // Register delivery address actions
+        const setDeliveryAddressCard = this.homey.flow.getActionCard('set_delivery_address');
+        setDeliveryAddressCard.registerRunListener(async (args, state) => {
+            return this.onFlowActionSetDeliveryAddress(args, state);
+        });
+        setDeliveryAddressCard.registerArgumentAutocompleteListener('address', async (query, args) => {
+            return this.onFlowActionAddressAutocomplete(query, args);
+        });
+
+        const getSlotsForAddressCard = this.homey.flow.getActionCard('get_slots_for_address');
+        getSlotsForAddressCard.registerRunListener(async (args, state) => {
+            return this.onFlowActionGetSlotsForAddress(args, state);
+        });
+        getSlotsForAddressCard.registerArgumentAutocompleteListener('address', async (query, args) => {
+            return this.onFlowActionAddressAutocomplete(query, args);
+        });
+
+        // Register upcoming order actions
+        const addItemToOrderCard = this.homey.flow.getActionCard('add_item_to_order');
+        addItemToOrderCard.registerRunListener(async (args, state) => {
+            return this.onFlowActionAddItemToOrder(args, state);
+        });
+        addItemToOrderCard.registerArgumentAutocompleteListener('product', async (query, args) => {
+            return this.onFlowActionAddItemAutocomplete(query, args);
+        });
+
+        const removeItemFromOrderCard = this.homey.flow.getActionCard('remove_item_from_order');
+        removeItemFromOrderCard.registerRunListener(async (args, state) => {
+            return this.onFlowActionRemoveItemFromOrder(args, state);
+        });
+        removeItemFromOrderCard.registerArgumentAutocompleteListener('product_in_order', async (query, args) => {
+            return this.onFlowActionOrderItemAutocomplete(query, args);
+        });
+
+        // Register get_spend_summary action
+        this.homey.flow.getActionCard('get_spend_summary')
+            .registerRunListener((args, state) => this.onFlowActionGetSpendSummary(args, state));
+
+        // Register price watch actions
+        const watchProductPriceCard = this.homey.flow.getActionCard('watch_product_price');
+        watchProductPriceCard.registerRunListener(async (args, state) => {
+            return this.onFlowActionWatchProductPrice(args, state);
+        });
+        watchProductPriceCard.registerArgumentAutocompleteListener('product', async (query, args) => {
+            return this.onFlowActionAddItemAutocomplete(query, args);
+        });
+
+        const unwatchProductPriceCard = this.homey.flow.getActionCard('unwatch_product_price');
+        unwatchProductPriceCard.registerRunListener(async (args, state) => {
+            return this.onFlowActionUnwatchProductPrice(args, state);
+        });
+        unwatchProductPriceCard.registerArgumentAutocompleteListener('product', async (query, args) => {
+            return this.onFlowActionWatchedProductAutocomplete(query, args);
+        });
+
+        // Register staples replenishment actions
+        this.homey.flow.getActionCard('suggest_due_items')
+            .registerRunListener((args, state) => this.onFlowActionSuggestDueItems(args, state));
+
+        this.homey.flow.getActionCard('add_due_staples')
+            .registerRunListener((args, state) => this.onFlowActionAddDueStaples(args, state));
+
+        const stapleOptOutCard = this.homey.flow.getActionCard('set_staple_opt_out');
+        stapleOptOutCard.registerRunListener(async (args, state) => {
+            return this.onFlowActionSetStapleOptOut(args, state);
+        });
+        stapleOptOutCard.registerArgumentAutocompleteListener('product', async (query, args) => {
+            return this.onFlowActionStapleAutocomplete(query, args);
+        });
+
         // Register test_api_method action (for debugging)
         const testApiMethodCard = this.homey.flow.getActionCard('test_api_method');
         testApiMethodCard.registerRunListener(async (args, state) => {
@@ -67,9 +224,29 @@ module.exports = class RohlikDevice extends Homey.Device {
         const refreshDataCard = this.homey.flow.getActionCard('refresh_data');
         refreshDataCard.registerRunListener(async (args, state) => {
             this.log('Manual refresh triggered via Flow');
+            this.client.clearCache();
             return this.updateData();
         });
 
+        // Register Triggers
+        this.homey.flow.getDeviceTriggerCard('courier_arriving')
+            .registerRunListener((args, state) => this.onFlowTriggerCourierArriving(args, state));
+
+        this.homey.flow.getDeviceTriggerCard('delivery_slot_opened')
+            .registerRunListener((args, state) => this.onFlowTriggerDeliverySlotOpened(args, state));
+
+        this.homey.flow.getDeviceTriggerCard('cart_total_exceeded')
+            .registerRunListener((args, state) => this.onFlowTriggerCartTotalExceeded(args, state));
+
+        this.homey.flow.getDeviceTriggerCard('slot_reservation_expiring')
+            .registerRunListener((args, state) => this.onFlowTriggerSlotReservationExpiring(args, state));
+
+        this.homey.flow.getDeviceTriggerCard('delivery_window_approaching')
+            .registerRunListener((args, state) => this.onFlowTriggerDeliveryWindowApproaching(args, state));
+
+        this.homey.flow.getDeviceTriggerCard('order_edit_window_closing')
+            .registerRunListener((args, state) => this.onFlowTriggerOrderEditWindowClosing(args, state));
+
         // Register Conditions
         this.homey.flow.getConditionCard('delivery_status_is')
             .registerRunListener((args, state) => this.onFlowConditionDeliveryStatusIs(args, state));
@@ -80,11 +257,39 @@ module.exports = class RohlikDevice extends Homey.Device {
         this.homey.flow.getConditionCard('express_slots_available')
             .registerRunListener((args, state) => this.onFlowConditionExpressSlotsAvailable(args, state));
 
+        const productCheaperThanCard = this.homey.flow.getConditionCard('product_cheaper_than');
+        productCheaperThanCard.registerRunListener((args, state) => this.onFlowConditionProductCheaperThan(args, state));
+        productCheaperThanCard.registerArgumentAutocompleteListener('product', async (query, args) => {
+            return this.onFlowActionAddItemAutocomplete(query, args);
+        });
+
 
-        // Initialize polling intervals from settings (or defaults)
+        // Initialize polling intervals from settings (or defaults), connect() ran the first update
         this.startPolling();
     }
 
+    async migrateCapabilities() {
+        // Devices paired with an older version miss capabilities added since
+        const capabilities = this.driver.manifest.capabilities || [];
+        for (const capabilityId of capabilities) {
+            if (!this.hasCapability(capabilityId)) {
+                this.log(`Adding missing capability: ${capabilityId}`);
+                await this.addCapability(capabilityId).catch(this.error);
+            }
+        }
+    }
+
+    async migrateRegionSetting(settings) {
+        // Older pairings stored the region as "country", which the region setting never picked up
+        if (this.getStoreValue('region_migrated')) return;
+
+        if (settings.country) {
+            settings.region = String(settings.country).toLowerCase();
+            await this.setSettings({ region: settings.region }).catch(this.error);
+        }
+        await this.setStoreValue('region_migrated', true).catch(this.error);
+    }
+
     initClient(settings) {
         // cleanup old client listeners if needed - though allowing GC to handle usually fine if we drop reference
         // but explicit removeAllListeners if we kept it would be good. 
@@ -92,10 +297,21 @@ module.exports = class RohlikDevice extends Homey.Device {
             this.client.removeAllListeners();
         }
 
+        const region = settings.region || 'cz';
+
+        this.i18n = new Localization(region);
         this.client = new RohlikClient({
             username: settings.username,
             password: settings.password,
-            country: settings.country || 'CZ'
+            country: region,
+            baseUrl: Homey.env.ROHLIK_BASE_URL,
+            logger: this.getLogger(),
+            addressId: settings.address_id
+        });
+
+        this.client.on('session', (session) => {
+            // Persist cookies and IDs so restarts don't need a fresh login
+            this.setStoreValue('session', session).catch(this.error);
         });
 
         this.client.on('reusable_bags', async (count) => {
@@ -104,15 +320,43 @@ module.exports = class RohlikDevice extends Homey.Device {
         });
     }
 
+    // One logger per device, kept across client re-creation on settings changes
+    getLogger() {
+        if (!this.logger) {
+            this.logger = new Logger({
+                log: this.log.bind(this),
+                error: this.error.bind(this),
+                level: this.getSetting('enable_logging') ? 'debug' : 'info',
+                prefix: '[RohlikClient]',
+                requestLog: this.homey.app.requestLog
+            });
+        }
+        return this.logger;
+    }
+
     async connect() {
         try {
-            await this.client.login();
+            const session = this.getStoreValue('session');
+
+            // A rejected session is handled by the client's re-login on 401/403
+            if (this.client.restoreSession(session)) {
+                this.log('Restored saved session');
+            } else {
+                await this.client.login();
+                this.log('Logged in successfully');
+            }
+
             this.setAvailable();
-            this.log('Logged in successfully');
             this.updateData();
         } catch (err) {
             this.error('Login failed', err);
             this.setUnavailable(err.message);
+            this.triggerErrorOccurred(err);
+
+            // Rejected credentials need new settings, anything else may pass
+            if (err.transient) {
+                this.homey.setTimeout(() => this.connect(), 60 * 1000);
+            }
         }
     }
 
@@ -134,6 +378,16 @@ module.exports = class RohlikDevice extends Homey.Device {
             ['username', 'password', 'region'].includes(key)
         );
 
+        if (changedKeys.includes('address_id') && !loginSettingsChanged) {
+            await this.applyAddress(newSettings.address_id);
+        }
+
+        // A new monthly budget may already be reached this month
+        if (changedKeys.includes('budget_per_month')) {
+            await this.unsetStoreValue('budget_reached_month').catch(this.error);
+            this.lastSpendingUpdate = null;
+        }
+
         // Check if polling intervals changed
         const pollingChanged = changedKeys.includes('polling_interval');
 
@@ -152,11 +406,15 @@ module.exports = class RohlikDevice extends Homey.Device {
                 this.log('Logout failed (may not have been logged in):', err.message);
             }
 
+            // The saved session belongs to the old account
+            await this.unsetStoreValue('session').catch(this.error);
+
             // Create new client with updated settings
             this.initClient({
                 username: newSettings.username,
                 password: newSettings.password,
-                country: newSettings.region || 'cz' // map region to country if needed, or stick to convention
+                region: newSettings.region || 'cz',
+                address_id: newSettings.address_id
             });
 
             // Attempt to login with new credentials
@@ -165,6 +423,7 @@ module.exports = class RohlikDevice extends Homey.Device {
 
         // Handle debug logging toggle
         if (changedKeys.includes('enable_logging')) {
+            this.getLogger().setLevel(newSettings.enable_logging ? 'debug' : 'info');
             this.log('Debug logging is now:', newSettings.enable_logging ? 'enabled' : 'disabled');
         }
     }
@@ -179,13 +438,10 @@ module.exports = class RohlikDevice extends Homey.Device {
         const intervalMinutes = settings.polling_interval || 10;
         this.log(`Starting Polling: ${intervalMinutes} min`);
         this.pollingInterval = setInterval(() => this.updateData(), intervalMinutes * 60000);
-
-        // Initial fetch
-        this.updateData();
     }
 
     manageDeliveryPolling(status) {
-        if (status === 'delivery') {
+        if (ON_THE_WAY_STATES.includes(status)) {
             if (!this.deliveryPollingInterval) {
                 this.log('Starting fast delivery polling (1 min)');
                 this.deliveryPollingInterval = setInterval(() => this.updateDeliveryStatusOnly(), 60 * 1000);
@@ -203,36 +459,163 @@ module.exports = class RohlikDevice extends Homey.Device {
         if (!this.client.userId) return;
 
         try {
-            const deliveryAnnouncements = await this.client.getDeliveryAnnouncements();
-            let shipmentState = 'no_upcoming_order';
-            let eta = 0;
-
-            if (deliveryAnnouncements && deliveryAnnouncements.announcements && deliveryAnnouncements.announcements.length > 0) {
-                const announcement = deliveryAnnouncements.announcements[0];
-                if (announcement.icon === 'iconDeliveryCar') {
-                    shipmentState = 'delivery';
-                    if (announcement.content) {
-                        const match = announcement.content.match(/<span[^>]*>(\d+)<\/span>/);
-                        if (match && match[1]) {
-                            eta = parseInt(match[1], 10);
-                        }
-                    }
-                } else if (announcement.icon === 'iconProducts') {
-                    shipmentState = 'preparing_bags';
-                }
+            await this.refreshDeliveryState();
+        } catch (err) {
+            this.error('Delivery status update failed:', err);
+        }
+    }
+
+    // The fast delivery polling and updateData share a running refresh, for the same reason as updateData
+    refreshDeliveryState() {
+        if (!this.deliveryRefresh) {
+            this.deliveryRefresh = this.runDeliveryRefresh().finally(() => { this.deliveryRefresh = null; });
+        }
+        return this.deliveryRefresh;
+    }
+
+    async runDeliveryRefresh() {
+        const [upcomingOrders, announcements] = await Promise.all([
+            this.client.getUpcomingOrders(),
+            this.client.getDeliveryAnnouncements()
+        ]);
+
+        const delivery = parseDeliveryState({
+            upcomingOrders,
+            announcements,
+            previousState: this.getCapabilityValue('string_next_delivery_status'),
+            previousOrderId: this.getStoreValue('delivery_order_id'),
+            deliveredAt: this.getStoreValue('delivered_at')
+        });
+
+        await this.updateDeliveryState(delivery);
+    }
+
+    async updateDeliveryState(delivery) {
+        const { state: shipmentState, eta } = delivery;
+        const previousState = this.getCapabilityValue('string_next_delivery_status');
+        const previousEta = this.getCapabilityValue('measure_next_delivery_eta') || 0;
+        const previousMinutesUntilWindow = this.getCapabilityValue('measure_minutes_until_window');
+
+        await this.updateCapabilityValue('string_next_delivery_status', shipmentState);
+        await this.updateCapabilityValue('measure_next_delivery_eta', eta);
+        await this.updateDeliveryWindow(delivery);
+        await this.updateEditCutoff(delivery);
+
+        if (delivery.orderId !== this.getStoreValue('delivery_order_id')) {
+            await this.setStoreValue('delivery_order_id', delivery.orderId).catch(this.error);
+        }
+
+        if (delivery.deliveredAt) {
+            await this.setStoreValue('delivered_at', delivery.deliveredAt.toISOString()).catch(this.error);
+        } else if (this.getStoreValue('delivered_at')) {
+            await this.unsetStoreValue('delivered_at').catch(this.error);
+        }
+
+        // Absolute arrival time, so the dashboard widget can count down between polls
+        this.deliveryEtaAt = ON_THE_WAY_STATES.includes(shipmentState) && eta > 0 ? Date.now() + eta * 60 * 1000 : null;
+
+        // Manage fast polling based on status
+        this.manageDeliveryPolling(shipmentState);
+
+        this.triggerDeliveryTransitions(previousState, shipmentState, previousEta, eta);
+
+        if (delivery.minutesUntilWindow !== null && delivery.minutesUntilWindow !== previousMinutesUntilWindow) {
+            this.homey.flow.getDeviceTriggerCard('delivery_window_approaching')
+                .trigger(this, {
+                    minutes_until: delivery.minutesUntilWindow,
+                    window: this.getCapabilityValue('delivery_window_start')
+                }, { minutes: delivery.minutesUntilWindow, previousMinutes: previousMinutesUntilWindow })
+                .catch(this.error);
+        }
+    }
+
+    async updateDeliveryWindow({ windowStart, windowEnd, minutesUntilWindow }) {
+        if (!windowStart) {
+            await this.updateCapabilityValue('delivery_window_start', '-');
+            await this.updateCapabilityValue('delivery_window_end', '-');
+            await this.updateCapabilityValue('measure_minutes_until_window', null);
+            return;
+        }
+
+        const start = this.getLocalDateTime(windowStart);
+        await this.updateCapabilityValue('delivery_window_start', `${start.date} ${start.time}`);
+        await this.updateCapabilityValue('delivery_window_end', windowEnd ? this.getLocalDateTime(windowEnd).time : '-');
+        await this.updateCapabilityValue('measure_minutes_until_window', minutesUntilWindow);
+    }
+
+    async updateEditCutoff({ orderId, editableUntil }) {
+        const now = new Date();
+
+        if (!editableUntil || editableUntil <= now) {
+            await this.updateCapabilityValue('order_edit_cutoff', '-');
+            return;
+        }
+
+        const cutoff = this.getLocalDateTime(editableUntil);
+        const cutoffText = `${cutoff.date} ${cutoff.time}`;
+        await this.updateCapabilityValue('order_edit_cutoff', cutoffText);
+
+        // Kept per order in the store, so a restart doesn't fire the trigger again
+        const last = this.getStoreValue('edit_cutoff_minutes');
+        const previousMinutes = last && last.orderId === orderId ? last.minutes : null;
+        const minutes = Math.floor((editableUntil - now) / 60000);
+        if (minutes === previousMinutes) return;
+
+        await this.setStoreValue('edit_cutoff_minutes', { orderId, minutes }).catch(this.error);
+
+        this.homey.flow.getDeviceTriggerCard('order_edit_window_closing')
+            .trigger(this, { minutes_left: minutes, order_id: orderId, cutoff: cutoffText }, { minutes, previousMinutes })
+            .catch(this.error);
+    }
+
+    async onFlowTriggerOrderEditWindowClosing(args, state) {
+        return enteredWindow(state.minutes, state.previousMinutes, args.minutes);
+    }
+
+    async onFlowTriggerDeliveryWindowApproaching(args, state) {
+        return enteredWindow(state.minutes, state.previousMinutes, args.minutes);
+    }
+
+    triggerDeliveryTransitions(previousState, shipmentState, previousEta, eta) {
+        // No stored state yet (fresh device), nothing to compare against
+        if (previousState === null || previousState === undefined) return;
+
+        if (previousState !== shipmentState) {
+            this.log(`Delivery status changed: ${previousState} -> ${shipmentState}`);
+
+            this.homey.flow.getDeviceTriggerCard('delivery_status_changed')
+                .trigger(this, { old_status: previousState, new_status: shipmentState })
+                .catch(this.error);
+
+            if (ON_THE_WAY_STATES.includes(shipmentState) && !ON_THE_WAY_STATES.includes(previousState)) {
+                this.homey.flow.getDeviceTriggerCard('courier_on_the_way')
+                    .trigger(this, { eta })
+                    .catch(this.error);
             }
 
-            await this.updateCapabilityValue('string_next_delivery_status', shipmentState);
-            await this.updateCapabilityValue('measure_next_delivery_eta', eta);
+            if (shipmentState === 'delivered') {
+                // New delivered order, refresh spending on the next update
+                this.lastSpendingUpdate = null;
 
-            // Update polling state based on result
-            this.manageDeliveryPolling(shipmentState);
+                this.homey.flow.getDeviceTriggerCard('order_delivered')
+                    .trigger(this, {})
+                    .catch(this.error);
+            }
+        }
 
-        } catch (err) {
-            this.error('Delivery status update failed:', err);
+        const wasOnTheWay = ON_THE_WAY_STATES.includes(previousState);
+        if (ON_THE_WAY_STATES.includes(shipmentState) && eta > 0 && (eta !== previousEta || !wasOnTheWay)) {
+            this.homey.flow.getDeviceTriggerCard('courier_arriving')
+                .trigger(this, { eta }, { eta, previousEta: wasOnTheWay ? previousEta : 0 })
+                .catch(this.error);
         }
     }
 
+    async onFlowTriggerCourierArriving(args, state) {
+        // An ETA of 0 means there was none yet
+        return enteredWindow(state.eta, state.previousEta > 0 ? state.previousEta : null, args.minutes);
+    }
+
     async updateCapabilityValue(capabilityId, value) {
         const currentValue = this.getCapabilityValue(capabilityId);
 
@@ -243,248 +626,1311 @@ module.exports = class RohlikDevice extends Homey.Device {
         }
     }
 
-    async updateData() {
-        try {
-            // Trigger both updates
-            await Promise.all([
-                this.updateGeneralData(),
-                this.updateSlotsData()
-            ]);
-
-            this.setAvailable();
-        } catch (err) {
-            this.error('Update failed:', err);
-            this.setUnavailable(err.message || 'Update failed');
+    // Overlapping runs would compare against the same previous state and fire triggers twice,
+    // so runs never overlap. Calls during a run share one follow-up run that sees their changes.
+    updateData() {
+        if (!this.dataUpdate) {
+            this.dataUpdate = this.runDataUpdate().finally(() => { this.dataUpdate = null; });
+            return this.dataUpdate;
+        }
 
-            this.homey.flow.getTriggerCard('error_occurred')
-                .trigger(this, { error: err.message || 'Unknown error' })
-                .catch(this.error);
+        if (!this.nextDataUpdate) {
+            this.nextDataUpdate = this.dataUpdate.catch(() => {}).then(() => {
+                this.nextDataUpdate = null;
+                return this.updateData();
+            });
         }
+        return this.nextDataUpdate;
     }
 
-    async updateGeneralData() {
-        if (!this.client.userId) return;
+    async runDataUpdate() {
+        const updates = [
+            this.updateGeneralData(),
+            this.updateSlotsData(),
+            this.updateSpendingData(),
+            this.updatePriceWatchData(),
+            this.updatePendingProducts(),
+            this.updateReplenishmentData({ maxFetches: REPLENISHMENT_FETCHES_PER_UPDATE })
+        ];
+        const failures = (await Promise.allSettled(updates))
+            .filter(result => result.status === 'rejected')
+            .map(result => result.reason);
+
+        if (failures.length === 0) {
+            this.lastErrorType = null;
+            this.setAvailable();
+            return;
+        }
 
-        // 1. Cart
-        const cart = await this.client.getCartContent();
-        await this.updateCapabilityValue('measure_cart_total', cart.totalPrice);
-        await this.updateCapabilityValue('measure_cart_items', cart.totalItems);
+        for (const err of failures) this.error('Update failed:', err);
 
-        // 2. Upcoming Orders
-        const upcoming = await this.client.getUpcomingOrders();
-        let hasUpcomingOrder = false;
-
-        if (upcoming && upcoming.length > 0) {
-            const nextOrder = upcoming[0];
-            const now = new Date();
-            let diffMins = 0;
-
-            // If deliveryUnixTime exists (from previous observation/code)
-            if (nextOrder.deliveryUnixTime) {
-                const deliveryTime = new Date(nextOrder.deliveryUnixTime * 1000);
-                const diffMs = deliveryTime - now;
-                diffMins = Math.floor(diffMs / 60000);
-            } else if (nextOrder.deliveryTime) {
-                // If it comes as ISO string
-                const deliveryTime = new Date(nextOrder.deliveryTime);
-                const diffMs = deliveryTime - now;
-                diffMins = Math.floor(diffMs / 60000);
-            }
+        // A single failing part or a short outage keeps the device usable;
+        // rejected credentials or everything failing for good do not
+        const err = failures.find(e => e instanceof AuthError) || failures[0];
+        if (err instanceof AuthError || (failures.length === updates.length && !err.transient)) {
+            this.setUnavailable(err.message || 'Update failed');
+        } else {
+            this.setAvailable();
+        }
 
-            hasUpcomingOrder = true;
+        this.triggerErrorOccurred(err);
+    }
 
+    triggerErrorOccurred(err) {
+        const errorType = err instanceof RohlikError ? err.type : 'unknown';
 
-        }
+        // An open circuit only repeats a failure that was already reported
+        if (err instanceof CircuitOpenError || errorType === this.lastErrorType) return;
+        this.lastErrorType = errorType;
 
-        // 3. Delivery Status Announcement Logic
-        const deliveryAnnouncements = await this.client.getDeliveryAnnouncements();
+        this.homey.flow.getDeviceTriggerCard('error_occurred')
+            .trigger(this, { error: err.message || 'Unknown error', error_type: errorType })
+            .catch(this.error);
+    }
 
-        let shipmentState = 'no_upcoming_order'; // Default
-        let eta = 0;
+    async updateGeneralData() {
+        if (!this.client.userId) return;
 
-        if (deliveryAnnouncements && deliveryAnnouncements.announcements && deliveryAnnouncements.announcements.length > 0) {
-            // Check the first announcement
-            const announcement = deliveryAnnouncements.announcements[0];
+        // 1. Cart
+        const cart = await this.client.getCartContent();
+        const previousTotal = this.getCapabilityValue('measure_cart_total');
+        await this.updateCapabilityValue('measure_cart_total', cart.totalPrice);
 
-            if (announcement.icon === 'iconDeliveryCar') {
-                shipmentState = 'delivery';
-                if (announcement.content) {
-                    const match = announcement.content.match(/<span[^>]*>(\d+)<\/span>/);
-                    if (match && match[1]) {
-                        eta = parseInt(match[1], 10);
-                    }
-                }
-            } else if (announcement.icon === 'iconProducts') {
-                shipmentState = 'preparing_bags';
-            }
+        if (typeof previousTotal === 'number' && cart.totalPrice > previousTotal) {
+            this.homey.flow.getDeviceTriggerCard('cart_total_exceeded')
+                .trigger(this, { total: cart.totalPrice }, { total: cart.totalPrice, previousTotal })
+                .catch(this.error);
         }
+        await this.updateCapabilityValue('measure_cart_items', cart.totalItems);
+        await this.checkCartChanges(cart);
 
-        await this.updateCapabilityValue('string_next_delivery_status', shipmentState);
-        await this.updateCapabilityValue('measure_next_delivery_eta', eta);
-
-        // Manage fast polling based on status
-        this.manageDeliveryPolling(shipmentState);
+        // 2. Delivery state from upcoming orders and announcements
+        await this.refreshDeliveryState();
 
-        // 4. Reusable Bags Logic
+        // 3. Reusable Bags Logic
         const bagsInfo = await this.client.getReusableBagsInfo();
         if (bagsInfo && typeof bagsInfo.current === 'number') {
             await this.updateCapabilityValue('measure_reusable_bags', bagsInfo.current);
         }
     }
 
+    // Runs within updateData only: its runs don't overlap, so each change is compared against the stored lines once
+    async checkCartChanges(cart) {
+        const lines = toCartLines(cart);
+        const previous = this.getStoreValue('cart_lines');
+        if (previous && JSON.stringify(previous) === JSON.stringify(lines)) return;
+
+        await this.setStoreValue('cart_lines', lines).catch(this.error);
+        // The first snapshot has nothing to compare with
+        if (!previous) return;
+
+        const { added, removed, changed } = diffCart(previous, lines);
+        const count = added.length + removed.length + changed.length;
+        if (count === 0) return;
+
+        const describe = line => `${line.quantity}x ${line.name}`;
+        this.log(`Cart changed: ${added.length} added, ${removed.length} removed, ${changed.length} changed`);
+
+        this.homey.flow.getDeviceTriggerCard('cart_changed')
+            .trigger(this, {
+                added: added.map(describe).join(', '),
+                removed: removed.map(describe).join(', '),
+                changed: changed.map(line => this.i18n.t('cart.quantity_change', {
+                    name: line.name,
+                    previous: line.previous_quantity,
+                    quantity: line.quantity
+                })).join(', '),
+                changes_json: JSON.stringify({ added, removed, changed }),
+                change_count: count
+            })
+            .catch(this.error);
+    }
+
     async updateSlotsData() {
         if (!this.client.userId) return;
 
         const deliverySlots = await this.client.getDeliverySlots();
 
-        // Handle Express Delivery Slots
-        if (deliverySlots && deliverySlots.expressSlot) {
-            const express = deliverySlots.expressSlot;
-            const capacity = express.timeSlotCapacityDTO;
+        // Address and reservation are extras, the slots are still worth showing without them
+        await this.updateAddressData().catch(err => this.error('Address update failed:', err));
+        this.checkSlotWatches(deliverySlots);
+        await this.updateReservationData().catch(err => this.error('Reservation update failed:', err));
 
-            if (capacity) {
-                const isAvailable = capacity.totalFreeCapacityPercent > 0;
-                await this.updateCapabilityValue('alarm_slots_available', isAvailable);
-                await this.updateCapabilityValue('delivery_express', capacity.capacityMessage || 'Unknown');
-            }
-        } else {
+        const summary = parseSlotSummary(deliverySlots);
+        const unavailable = this.i18n.t('slots.unavailable');
+
+        // Express slot without capacity info keeps the previous values
+        if (summary.express) {
+            await this.updateCapabilityValue('alarm_slots_available', summary.express.available);
+            await this.updateCapabilityValue('delivery_express', summary.express.message || this.i18n.t('slots.unknown'));
+        } else if (summary.express === null) {
             await this.updateCapabilityValue('alarm_slots_available', false);
-            await this.updateCapabilityValue('delivery_express', 'Nedostupné');
+            await this.updateCapabilityValue('delivery_express', unavailable);
         }
 
-        // Handle Preselected Slots (Common & Eco)
-        if (deliverySlots && deliverySlots.preselectedSlots && Array.isArray(deliverySlots.preselectedSlots)) {
-            // Common Delivery (FIRST)
-            const firstSlot = deliverySlots.preselectedSlots.find(s => s.type === 'FIRST');
-            if (firstSlot && firstSlot.subtitle) {
-                const commonText = firstSlot.subtitle.replace(/^\(|\)$/g, '');
-                await this.updateCapabilityValue('delivery_common', commonText);
-            } else {
-                await this.updateCapabilityValue('delivery_common', 'Nedostupné');
-            }
-
-            // Eco Delivery (ECO)
-            const ecoSlot = deliverySlots.preselectedSlots.find(s => s.type === 'ECO');
-            if (ecoSlot && ecoSlot.subtitle) {
-                const ecoText = ecoSlot.subtitle.replace(/^\(|\)$/g, '');
-                await this.updateCapabilityValue('delivery_eco', ecoText);
-            } else {
-                await this.updateCapabilityValue('delivery_eco', 'Nedostupné');
-            }
-        } else {
-            await this.updateCapabilityValue('delivery_common', 'Nedostupné');
-            await this.updateCapabilityValue('delivery_eco', 'Nedostupné');
-        }
+        await this.updateCapabilityValue('delivery_common', summary.common || unavailable);
+        await this.updateCapabilityValue('delivery_eco', summary.eco || unavailable);
     }
 
-    // --- Flow Actions ---
+    async updateAddressData() {
+        const addresses = await this.client.getAddresses();
+        const address = addresses.find(a => a.id === String(this.client.addressId));
+        const name = address ? address.name : '-';
+        await this.updateCapabilityValue('delivery_address', name);
 
-    async onFlowActionAddItemAutocomplete(query, args) {
-        if (!query) return [];
-        try {
-            const results = await this.client.searchProducts(query);
-            // format: { name, description, icon, id }
-            return results.map(p => ({
-                name: p.name,
-                description: `${p.price} ${p.currency} (${p.brand})`,
-                id: p.id,
-                // icon: p.image // If remote URL supported? Yes.
-            }));
-        } catch (err) {
-            this.error(err);
-            return [];
+        // The address ID setting is opaque, show which address it is next to it
+        if (this.getSetting('address_name') !== name) {
+            await this.setSettings({ address_name: name }).catch(this.error);
         }
     }
 
-    async onFlowActionAddItem(args, state) {
-        // args.product is { id, name ... }
-        if (!args.product || !args.product.id) throw new Error('No product selected');
-
-        const quantity = args.pieces && args.pieces > 0 ? args.pieces : 1;
-        await this.client.addToCart(args.product.id, quantity);
+    async applyAddress(addressId) {
+        this.client.setAddressId(addressId);
+        this.log('Delivery address is now', this.client.addressId);
 
-        // Update cart immediately
-        await this.updateData();
+        // Slots of another address are no news, start the watcher baseline over
+        this.availableSlotIds = null;
+        await this.updateSlotsData().catch(this.error);
     }
 
-    async onFlowActionRemoveItemAutocomplete(query, args) {
-        // List items in cart
-        try {
-            const cart = await this.client.getCartContent();
-            const items = cart.items;
+    checkSlotWatches(deliverySlots) {
+        // A missing response says nothing about the slots, comparing with it would report all as new
+        if (!Array.isArray(deliverySlots?.availabilityDays)) return;
 
-            // Filter by query
-            const filtered = items.filter(i =>
-                i.name.toLowerCase().includes(query.toLowerCase())
-            );
+        const available = RohlikClient.parseDeliverySlots(deliverySlots).filter(slot => slot.available);
+        const previousIds = this.availableSlotIds;
+        this.availableSlotIds = new Set(available.map(slot => slot.id));
 
-            return filtered.map(i => ({
-                name: i.name,
-                description: `${i.quantity}x ${i.price} ${i.currency}`,
-                id: i.cart_item_id // Use orderFieldId for removal
-            }));
-        } catch (err) {
-            this.error(err);
-            return [];
-        }
-    }
+        // First poll after start only establishes the baseline
+        if (!previousIds) return;
 
-    async onFlowActionRemoveItem(args, state) {
-        if (!args.product_in_cart || !args.product_in_cart.id) throw new Error('No item selected');
+        const opened = available.filter(slot => !previousIds.has(slot.id));
+        if (opened.length === 0) return;
 
-        // Full removal (API doesn't support partial removal)
-        await this.client.removeFromCart(args.product_in_cart.id);
+        this.log(`${opened.length} delivery slot(s) opened up`);
 
-        await this.updateData();
+        const triggerCard = this.homey.flow.getDeviceTriggerCard('delivery_slot_opened');
+        for (const slot of opened) {
+            const start = this.getLocalDateTime(new Date(slot.start));
+            const end = this.getLocalDateTime(new Date(slot.end));
+
+            triggerCard.trigger(this, {
+                start: `${start.date} ${start.time}`,
+                end: `${end.date} ${end.time}`,
+                price: slot.price,
+                capacity: slot.capacity
+            }, { slot, start, end }).catch(this.error);
+        }
     }
 
-    async onFlowActionGetProductId(args, state) {
-        if (!args.product || !args.product.id) throw new Error('No product selected');
+    getLocalDateTime(date) {
+        const parts = new Intl.DateTimeFormat('en-CA', {
+            timeZone: this.homey.clock.getTimezone(),
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(date);
+        const part = type => parts.find(p => p.type === type).value;
 
         return {
-            product_id: String(args.product.id)
+            date: `${part('year')}-${part('month')}-${part('day')}`,
+            time: `${part('hour')}:${part('minute')}`
         };
     }
 
-    async onFlowActionGetCartContent(args, state) {
-        const cart = await this.client.getCartContent();
+    slotMatchesWindow(slot, args) {
+        const start = this.getLocalDateTime(new Date(slot.start));
+        const end = this.getLocalDateTime(new Date(slot.end));
+        const day = args.day.id || args.day;
 
-        if (!cart.items || cart.items.length === 0) {
-            return { cart_content: 'Košík je prázdný' };
+        if (day !== 'any') {
+            const target = new Date();
+            if (day === 'tomorrow') target.setDate(target.getDate() + 1);
+            if (start.date !== this.getLocalDateTime(target).date) return false;
         }
 
-        const contentText = cart.items.map(item =>
-            `${item.name}, ${item.quantity} ks, ${item.pricePerUnit || item.price} Kč`
-        ).join('; ');
+        if (!args.from && !args.to) return true;
+
+        // Minutes since midnight of the slot's day; a slot may end after midnight
+        const toMinutes = time => {
+            const [hours, minutes] = time.split(':').map(Number);
+            return hours * 60 + minutes;
+        };
+        let slotStart = toMinutes(start.time);
+        let slotEnd = toMinutes(end.time) + (end.date !== start.date ? 24 * 60 : 0);
+
+        const from = args.from ? toMinutes(args.from) : 0;
+        let to = args.to ? toMinutes(args.to) : Infinity;
+
+        // A window like 20:00–01:00 wraps past midnight, slots after midnight belong to its end
+        if (args.from && args.to && to <= from) {
+            to += 24 * 60;
+            if (slotStart < from) {
+                slotStart += 24 * 60;
+                slotEnd += 24 * 60;
+            }
+        }
 
-        return { cart_content: contentText };
+        return slotStart >= from && slotEnd <= to;
     }
 
-    async onFlowActionAddItemById(args, state) {
-        if (!args.product_id) throw new Error('No product ID provided');
+    async onFlowTriggerDeliverySlotOpened(args, state) {
+        if (!this.slotMatchesWindow(state.slot, args)) return false;
 
-        const quantity = args.pieces && args.pieces > 0 ? args.pieces : 1;
-        await this.client.addToCart(args.product_id, quantity);
+        if (args.max_price !== undefined && args.max_price !== null && state.slot.price > args.max_price) return false;
 
-        await this.updateData();
+        return true;
     }
 
-    async onFlowActionRemoveItemById(args, state) {
-        if (!args.product_id) throw new Error('No product ID provided');
+    async updateReservationData() {
+        const reservation = await this.client.getTimeslotReservation();
 
-        // Find cart item by product ID
-        const cart = await this.client.getCartContent();
-        const item = cart.items.find(i => i.id === args.product_id || i.id === String(args.product_id));
+        if (!reservation) {
+            this.reservationMinutesLeft = null;
+            await this.updateCapabilityValue('reserved_slot', '-');
+            await this.updateCapabilityValue('reserved_slot_expiry', '-');
+            return;
+        }
 
-        if (!item) throw new Error('Product not found in cart');
+        const start = this.getLocalDateTime(new Date(reservation.start));
+        const end = this.getLocalDateTime(new Date(reservation.end));
+        const slotText = `${start.date} ${start.time}–${end.time}`;
 
-        await this.client.removeFromCart(item.cart_item_id);
-        await this.updateData();
-    }
+        await this.updateCapabilityValue('reserved_slot', slotText);
 
-    async onFlowActionTestApiMethod(args, state) {
-        const method = args.method;
-        this.log(`Testing API method: ${method}`);
+        if (!reservation.expiresAt) {
+            await this.updateCapabilityValue('reserved_slot_expiry', '-');
+            return;
+        }
+
+        const expiresAt = new Date(reservation.expiresAt);
+        await this.updateCapabilityValue('reserved_slot_expiry', this.getLocalDateTime(expiresAt).time);
+
+        const minutesLeft = Math.max(0, Math.floor((expiresAt - new Date()) / 60000));
+        const previousMinutesLeft = this.reservationMinutesLeft;
+        this.reservationMinutesLeft = minutesLeft;
+
+        this.homey.flow.getDeviceTriggerCard('slot_reservation_expiring')
+            .trigger(this, { minutes_left: minutesLeft, slot: slotText }, { minutesLeft, previousMinutesLeft })
+            .catch(this.error);
+    }
+
+    async onFlowTriggerSlotReservationExpiring(args, state) {
+        return enteredWindow(state.minutesLeft, state.previousMinutesLeft, args.minutes);
+    }
+
+    async getSpendingOrders(fromDate) {
+        // One day of margin for time zones, local dates are compared afterwards
+        const since = new Date(`${addDays(fromDate, -1)}T00:00:00Z`);
+        const history = await this.client.getOrderHistorySince(since);
+
+        return history.map(order => {
+            const normalized = normalizeOrder(order);
+            return {
+                ...normalized,
+                localDate: normalized.time ? this.getLocalDateTime(new Date(normalized.time)).date : null
+            };
+        });
+    }
+
+    async updateSpendingData() {
+        if (!this.client.userId) return;
+
+        // Order history only changes after a delivery, refreshing hourly is plenty
+        if (this.lastSpendingUpdate && Date.now() - this.lastSpendingUpdate < 60 * 60000) return;
+
+        const today = this.getLocalDateTime(new Date()).date;
+        const periods = {
+            week: getPeriodStart(today, 'week'),
+            month: getPeriodStart(today, 'month'),
+            last30: getPeriodStart(today, '30_days')
+        };
+        const earliest = Object.values(periods).sort()[0];
+
+        const orders = await this.getSpendingOrders(earliest);
+        const last30 = summarizeSpending(orders, periods.last30, today);
+
+        await this.updateCapabilityValue('measure_spend_week', summarizeSpending(orders, periods.week, today).total);
+        await this.updateCapabilityValue('measure_spend_month', summarizeSpending(orders, periods.month, today).total);
+        await this.updateCapabilityValue('measure_spend_30_days', last30.total);
+        await this.updateCapabilityValue('measure_average_order', last30.average);
+        await this.updateCapabilityValue('measure_order_count', last30.count);
+
+        await this.checkMonthlyBudget(summarizeSpending(orders, periods.month, today).total, today.slice(0, 7));
+
+        this.lastSpendingUpdate = Date.now();
+    }
+
+    getPriceWatchlist() {
+        return this.getStoreValue('price_watchlist') || {};
+    }
+
+    async updatePriceWatchData() {
+        if (!this.client.userId) return;
+
+        const watchlist = this.getPriceWatchlist();
+        const productIds = Object.keys(watchlist);
+        if (productIds.length === 0) return;
+
+        const prices = await this.client.getProductPrices(productIds);
+        const triggerCard = this.homey.flow.getDeviceTriggerCard('price_dropped');
+        const updates = {};
+
+        for (const current of prices) {
+            const entry = watchlist[current.id];
+            if (!entry || entry.price === current.price) continue;
+
+            if (typeof entry.price === 'number' && current.price < entry.price) {
+                const percentage = Math.round(((entry.price - current.price) / entry.price) * 1000) / 10;
+                this.log(`Price of ${entry.name} dropped: ${entry.price} -> ${current.price}`);
+
+                triggerCard.trigger(this, {
+                    product: entry.name,
+                    product_id: current.id,
+                    old_price: entry.price,
+                    new_price: current.price,
+                    percentage
+                }).catch(this.error);
+            }
+
+            updates[current.id] = {
+                price: current.price,
+                currency: current.currency || entry.currency,
+                history: [...(entry.history || []), { time: new Date().toISOString(), price: current.price }]
+                    .slice(-PRICE_HISTORY_LENGTH)
+            };
+        }
+
+        if (Object.keys(updates).length === 0) return;
+
+        // Flows may have watched or unwatched products while the prices loaded
+        const latest = this.getPriceWatchlist();
+        for (const [id, update] of Object.entries(updates)) {
+            if (latest[id]) latest[id] = { ...latest[id], ...update };
+        }
+        await this.setStoreValue('price_watchlist', latest);
+    }
+
+    getPendingProducts() {
+        return this.getStoreValue('pending_products') || {};
+    }
+
+    async addToCartOrWait(productId, name, quantity, whenAvailable) {
+        try {
+            await this.updateCart(productId, name, quantity);
+        } catch (err) {
+            // Without a price the budget can't be checked yet, wait for it like for the stock
+            if (!whenAvailable || !(err instanceof OutOfStockError || err.priceUnavailable)) throw err;
+
+            const id = String(productId).trim();
+            const pending = this.getPendingProducts();
+            pending[id] = { name, quantity, since: new Date().toISOString() };
+            await this.setStoreValue('pending_products', pending);
+
+            this.log(`${name} can't be added yet (${err.message}), will add it once available`);
+        }
+    }
+
+    async updatePendingProducts() {
+        if (!this.client.userId) return;
+
+        const pending = this.getPendingProducts();
+        const productIds = Object.keys(pending);
+        if (productIds.length === 0) return;
+
+        const availability = await this.client.getProductAvailability(productIds);
+        const triggerCard = this.homey.flow.getDeviceTriggerCard('product_back_in_stock');
+        const added = [];
+
+        for (const product of availability) {
+            const entry = pending[product.id];
+            if (!entry || !product.inStock) continue;
+
+            try {
+                await this.updateCart(product.id, entry.name, entry.quantity);
+            } catch (err) {
+                // Sold out again in the meantime, no price yet or over budget, keep waiting
+                this.error(`Failed to add back-in-stock product ${product.id}:`, err.message);
+                continue;
+            }
+
+            this.log(`${entry.name} is back in stock and was added to the cart`);
+            added.push([product.id, entry]);
+
+            triggerCard.trigger(this, {
+                product: entry.name,
+                product_id: product.id,
+                quantity: entry.quantity
+            }).catch(this.error);
+        }
+
+        if (added.length === 0) return;
+
+        // Flows may have added products while this ran; only drop the ones added here,
+        // unless they were requested again in the meantime
+        const latest = this.getPendingProducts();
+        for (const [id, entry] of added) {
+            if (latest[id] && latest[id].since === entry.since) delete latest[id];
+        }
+        await this.setStoreValue('pending_products', latest);
+    }
+
+    // Past order details are only loaded once a feature that needs them was used
+    async useOrderHistory() {
+        if (this.getStoreValue('order_history_used')) return;
+        await this.setStoreValue('order_history_used', true).catch(this.error);
+    }
+
+    async updateReplenishmentData({ maxFetches = Infinity } = {}) {
+        if (!this.client.userId || !this.getStoreValue('order_history_used')) return;
+
+        // A poll and a Flow may ask at the same time, let one run finish before the next
+        while (this.replenishmentUpdate) await this.replenishmentUpdate.catch(() => {});
+
+        // Past orders don't change, a few refreshes a day keep up with new deliveries
+        if (this.lastReplenishmentUpdate && Date.now() - this.lastReplenishmentUpdate < 6 * 60 * 60000) return;
+
+        this.replenishmentUpdate = this.loadOrderItems(maxFetches)
+            .finally(() => { this.replenishmentUpdate = null; });
+        return this.replenishmentUpdate;
+    }
+
+    async loadOrderItems(maxFetches) {
+        const history = await this.client.getOrderHistory(REPLENISHMENT_ORDER_COUNT);
+        const cached = this.getStoreValue('order_items') || {};
+        const orderItems = {};
+        let fetches = 0;
+        let complete = true;
+
+        for (const order of Array.isArray(history) ? history : []) {
+            const orderId = String(order.id);
+
+            // Only fetch details of orders we haven't seen yet
+            if (cached[orderId]) {
+                orderItems[orderId] = cached[orderId];
+                continue;
+            }
+
+            if (!order.orderTime) continue;
+
+            // The rest follows with the next updates
+            if (fetches >= maxFetches) {
+                complete = false;
+                continue;
+            }
+            fetches++;
+
+            orderItems[orderId] = {
+                date: this.getLocalDateTime(new Date(order.orderTime)).date,
+                items: await this.client.getOrderItems(orderId)
+            };
+        }
+
+        await this.setStoreValue('order_items', orderItems);
+        if (complete) this.lastReplenishmentUpdate = Date.now();
+    }
+
+    // Orders with their items as { date, items }, for the ReplenishmentEngine
+    async getPastOrders({ refresh = true } = {}) {
+        await this.useOrderHistory();
+
+        if (refresh) {
+            await this.updateReplenishmentData();
+        } else {
+            this.updateReplenishmentData().catch(this.error);
+        }
+
+        return Object.values(this.getStoreValue('order_items') || {});
+    }
+
+    async checkMonthlyBudget(spent, month) {
+        const budget = this.getSetting('budget_per_month') || 0;
+        if (budget <= 0 || spent < budget) return;
+
+        // Fire once per calendar month
+        if (this.getStoreValue('budget_reached_month') === month) return;
+        await this.setStoreValue('budget_reached_month', month);
+
+        this.log(`Monthly budget reached: ${spent} of ${budget}`);
+        this.homey.flow.getDeviceTriggerCard('monthly_budget_reached')
+            .trigger(this, { spent, budget })
+            .catch(this.error);
+    }
+
+    /**
+     * Every increase of the cart goes through here, so the budget guard covers all of
+     * them. Adds `quantity` pieces of the product, or with `line` (the product's cart
+     * line) sets that line to `quantity`. Only the pieces added count against the budget.
+     */
+    async updateCart(productId, name, quantity, { line = null } = {}) {
+        const added = line ? quantity - line.quantity : quantity;
+        if (added > 0) await this.checkBudget(productId, name, added);
+
+        if (line) return this.client.setCartItemQuantity(line.cart_item_id, quantity);
+        return this.client.addToCart(productId, quantity);
+    }
+
+    // `currentTotal` replaces the cart total, e.g. for an order. A product without a price
+    // fails the check with `priceUnavailable` set, so a deferred add can wait for its price.
+    async checkBudget(productId, name, quantity, { currentTotal = null } = {}) {
+        const settings = this.getSettings();
+        if (!settings.budget_enforcement) return;
+
+        const orderBudget = settings.budget_per_order || 0;
+        const monthBudget = settings.budget_per_month || 0;
+        if (orderBudget <= 0 && monthBudget <= 0) return;
+
+        const [price] = await this.client.getProductPrices([String(productId).trim()]);
+        if (!price) {
+            const error = new Error(this.i18n.t('errors.budget_price_unavailable', { name }));
+            error.priceUnavailable = true;
+            throw error;
+        }
+
+        const total = currentTotal !== null ? currentTotal : (await this.client.getCartContent()).totalPrice;
+        const cost = price.price * quantity;
+        const newTotal = Math.round((total + cost) * 100) / 100;
+        const format = amount => this.i18n.formatPrice(amount, price.currency);
+
+        if (orderBudget > 0 && newTotal > orderBudget) {
+            throw new Error(this.i18n.t('errors.over_order_budget', {
+                name,
+                cost: format(cost),
+                total: format(newTotal),
+                budget: format(orderBudget)
+            }));
+        }
+
+        const spentThisMonth = this.getCapabilityValue('measure_spend_month') || 0;
+        if (monthBudget > 0 && spentThisMonth + newTotal > monthBudget) {
+            throw new Error(this.i18n.t('errors.over_month_budget', {
+                name,
+                cost: format(cost),
+                total: format(spentThisMonth + newTotal),
+                budget: format(monthBudget)
+            }));
+        }
+    }
+
+    async onFlowTriggerCartTotalExceeded(args, state) {
+        return state.total > args.amount && state.previousTotal <= args.amount;
+    }
+
+    // --- Flow Actions ---
+
+    // "25,90 Kč · 51,80 Kč/l (Kunín)"
+    describeProduct(product) {
+        let description = this.i18n.formatPrice(product.price, product.currency);
+        if (product.pricePerUnit !== null && product.unit) {
+            description += ` · ${this.i18n.formatPrice(product.pricePerUnit, product.currency)}/${product.unit}`;
+        }
+        return product.brand ? `${description} (${product.brand})` : description;
+    }
+
+    async onFlowActionSearchProducts(args, state) {
+        const results = await this.client.searchProducts(args.query, 10, {
+            sort: args.sort || 'relevance',
+            inStock: args.in_stock,
+            bio: args.bio,
+            onSale: args.on_sale,
+            brand: args.brand,
+            category: args.category
+        });
+
+        const product = results[0];
+        if (!product) throw new Error(this.i18n.t('errors.no_search_results', { query: args.query }));
+
+        return {
+            product_id: product.id,
+            name: product.name,
+            brand: product.brand || '',
+            price: product.price,
+            price_per_unit: product.pricePerUnit ?? 0,
+            unit: product.unit || '',
+            image_url: product.image || '',
+            in_stock: product.inStock,
+            on_sale: product.onSale,
+            count: results.length
+        };
+    }
+
+    async onFlowActionAddItemAutocomplete(query, args) {
+        if (!query) return [];
+        try {
+            const results = await this.client.searchProducts(query);
+            // format: { name, description, image, id }
+            return results.map(p => ({
+                name: p.name,
+                description: this.describeProduct(p),
+                image: p.image || undefined,
+                id: p.id
+            }));
+        } catch (err) {
+            this.error(err);
+            return [];
+        }
+    }
+
+    async onFlowActionAddItem(args, state) {
+        // args.product is { id, name ... }
+        if (!args.product || !args.product.id) throw new Error(this.i18n.t('errors.no_product'));
+
+        const quantity = args.pieces && args.pieces > 0 ? args.pieces : 1;
+        await this.addToCartOrWait(args.product.id, args.product.name, quantity, args.when_available);
+
+        // Update cart immediately
+        await this.updateData();
+    }
+
+    // How many past orders contained each product, to prefer what was bought before.
+    // Voice commands can't wait for the history to load, so this uses what is stored.
+    async getPurchaseCounts() {
+        const history = buildPurchaseHistory(await this.getPastOrders({ refresh: false }));
+        return new Map([...history.values()].map(product => [String(product.id), product.purchases.length]));
+    }
+
+    async onFlowActionAddItemsFromText(args, state) {
+        const entries = parseItemText(args.text, this.i18n.language);
+        if (entries.length === 0) throw new Error(this.i18n.t('errors.no_items_in_text'));
+
+        const options = {
+            purchaseCounts: await this.getPurchaseCounts(),
+            preferredBrand: this.getSetting('preferred_brand') || ''
+        };
+
+        const added = [];
+        const notAdded = [];
+        for (const entry of entries) {
+            try {
+                const product = pickProduct(entry.query, await this.client.searchProducts(entry.query, 10), options);
+                if (!product) {
+                    notAdded.push(entry.query);
+                    continue;
+                }
+
+                await this.updateCart(product.id, product.name, entry.quantity);
+                added.push(`${entry.quantity}x ${product.name}`);
+            } catch (err) {
+                this.error(`Failed to add "${entry.query}":`, err.message);
+                notAdded.push(entry.query);
+            }
+        }
+
+        this.log(`Added ${added.length} of ${entries.length} items from text`);
+
+        if (added.length > 0) await this.updateData();
+
+        return {
+            added: added.join(', '),
+            added_count: added.length,
+            not_added: notAdded.join(', '),
+            not_added_count: notAdded.length
+        };
+    }
+
+    async onFlowActionRemoveItemAutocomplete(query, args) {
+        // List items in cart
+        try {
+            const cart = await this.client.getCartContent();
+            const items = cart.items;
+
+            // Filter by query
+            const filtered = items.filter(i =>
+                i.name.toLowerCase().includes(query.toLowerCase())
+            );
+
+            return filtered.map(i => ({
+                name: i.name,
+                description: `${i.quantity}x ${this.i18n.formatPrice(i.price, i.currency)}`,
+                id: i.cart_item_id // Use orderFieldId for removal
+            }));
+        } catch (err) {
+            this.error(err);
+            return [];
+        }
+    }
+
+    async onFlowActionRemoveItem(args, state) {
+        if (!args.product_in_cart || !args.product_in_cart.id) throw new Error(this.i18n.t('errors.no_item'));
+
+        // Full removal of the cart line, see set_item_quantity for partial changes
+        await this.client.removeFromCart(args.product_in_cart.id);
+
+        await this.updateData();
+    }
+
+    async onFlowActionGetProductId(args, state) {
+        if (!args.product || !args.product.id) throw new Error(this.i18n.t('errors.no_product'));
+
+        return {
+            product_id: String(args.product.id)
+        };
+    }
+
+    async onFlowActionGetCartContent(args, state) {
+        const cart = await this.client.getCartContent();
+        const lines = toCartLines(cart);
+
+        const contentText = lines.length === 0
+            ? this.i18n.t('cart.empty')
+            : lines.map(line => this.i18n.t('cart.line', {
+                name: line.name,
+                quantity: line.quantity,
+                price: this.i18n.formatPrice(line.unit_price, line.currency)
+            })).join('; ');
+
+        return {
+            cart_content: contentText,
+            cart_json: JSON.stringify(lines),
+            cart_csv: toCsv(lines),
+            line_count: lines.length,
+            piece_count: lines.reduce((sum, line) => sum + line.quantity, 0),
+            total: cart.totalPrice
+        };
+    }
+
+    async onFlowActionAddItemById(args, state) {
+        if (!args.product_id) throw new Error(this.i18n.t('errors.no_product_id'));
+
+        const quantity = args.pieces && args.pieces > 0 ? args.pieces : 1;
+        await this.addToCartOrWait(args.product_id, this.i18n.t('product.fallback_name', { id: args.product_id }), quantity, args.when_available);
+
+        await this.updateData();
+    }
+
+    async onFlowActionRemoveItemById(args, state) {
+        if (!args.product_id) throw new Error(this.i18n.t('errors.no_product_id'));
+
+        const item = await this.findCartItemByProductId(args.product_id);
+        if (!item) throw new Error(this.i18n.t('errors.not_in_cart'));
+
+        await this.client.removeFromCart(item.cart_item_id);
+        await this.updateData();
+    }
+
+    async findCartItemByProductId(productId) {
+        const cart = await this.client.getCartContent();
+        return cart.items.find(i => i.id === String(productId).trim());
+    }
+
+    async findCartItem(cartItemId) {
+        const cart = await this.client.getCartContent();
+        const item = cart.items.find(i => i.cart_item_id === String(cartItemId));
+        if (!item) throw new Error(this.i18n.t('errors.not_in_cart'));
+        return item;
+    }
+
+    getQuantityDelta(args) {
+        const amount = args.amount && args.amount > 0 ? args.amount : 1;
+        const direction = args.direction.id || args.direction;
+        return direction === 'decrease' ? -amount : amount;
+    }
+
+    async onFlowActionSetItemQuantity(args, state) {
+        if (!args.product_in_cart || !args.product_in_cart.id) throw new Error(this.i18n.t('errors.no_item'));
+
+        const quantity = Math.max(0, args.quantity || 0);
+        const item = await this.findCartItem(args.product_in_cart.id);
+        await this.updateCart(item.id, item.name, quantity, { line: item });
+
+        await this.updateData();
+        return { quantity };
+    }
+
+    async onFlowActionSetItemQuantityById(args, state) {
+        if (!args.product_id) throw new Error(this.i18n.t('errors.no_product_id'));
+
+        const quantity = Math.max(0, args.quantity || 0);
+        const item = await this.findCartItemByProductId(args.product_id);
+
+        if (item) {
+            await this.updateCart(item.id, item.name, quantity, { line: item });
+        } else if (quantity > 0) {
+            // Not in cart yet, setting a quantity means adding a new line
+            await this.updateCart(args.product_id, this.i18n.t('product.fallback_name', { id: args.product_id }), quantity);
+        }
+
+        await this.updateData();
+        return { quantity };
+    }
+
+    async onFlowActionChangeItemQuantity(args, state) {
+        if (!args.product_in_cart || !args.product_in_cart.id) throw new Error(this.i18n.t('errors.no_item'));
+
+        const item = await this.findCartItem(args.product_in_cart.id);
+        const quantity = Math.max(0, item.quantity + this.getQuantityDelta(args));
+        await this.updateCart(item.id, item.name, quantity, { line: item });
+
+        await this.updateData();
+        return { quantity };
+    }
+
+    async onFlowActionChangeItemQuantityById(args, state) {
+        if (!args.product_id) throw new Error(this.i18n.t('errors.no_product_id'));
+
+        const delta = this.getQuantityDelta(args);
+        const item = await this.findCartItemByProductId(args.product_id);
+        let quantity;
+
+        if (item) {
+            quantity = Math.max(0, item.quantity + delta);
+            await this.updateCart(item.id, item.name, quantity, { line: item });
+        } else if (delta > 0) {
+            await this.updateCart(args.product_id, this.i18n.t('product.fallback_name', { id: args.product_id }), delta);
+            quantity = delta;
+        } else {
+            throw new Error(this.i18n.t('errors.not_in_cart'));
+        }
+
+        await this.updateData();
+        return { quantity };
+    }
+
+    async onFlowActionAddressAutocomplete(query, args) {
+        try {
+            const addresses = await this.client.getAddresses();
+
+            return addresses
+                .filter(a => a.name.toLowerCase().includes((query || '').toLowerCase()))
+                .map(a => ({
+                    name: a.name,
+                    description: a.id === String(this.client.addressId) ? this.i18n.t('autocomplete.address_active') : '',
+                    id: a.id
+                }));
+        } catch (err) {
+            this.error(err);
+            return [];
+        }
+    }
+
+    async onFlowActionSetDeliveryAddress(args, state) {
+        if (!args.address || !args.address.id) throw new Error(this.i18n.t('errors.no_address'));
+
+        await this.setSettings({ address_id: args.address.id });
+        await this.applyAddress(args.address.id);
+    }
+
+    async onFlowActionGetSlotsForAddress(args, state) {
+        if (!args.address || !args.address.id) throw new Error(this.i18n.t('errors.no_address'));
+
+        const slots = RohlikClient.parseDeliverySlots(await this.client.getDeliverySlots(args.address.id))
+            .filter(slot => slot.available)
+            .sort((a, b) => new Date(a.start) - new Date(b.start));
+
+        const lines = slots.map(slot => {
+            const start = this.getLocalDateTime(new Date(slot.start));
+            const end = this.getLocalDateTime(new Date(slot.end));
+            return this.i18n.t('slots.line', {
+                start: `${start.date} ${start.time}`,
+                end: end.time,
+                price: this.i18n.formatPrice(slot.price)
+            });
+        });
+
+        return {
+            slots: lines.join('; '),
+            first_slot: lines[0] || '',
+            count: slots.length
+        };
+    }
+
+    // The next upcoming order, as long as it can still be changed
+    async getEditableOrder() {
+        const upcoming = await this.client.getUpcomingOrders();
+        const order = (Array.isArray(upcoming) ? upcoming : [])
+            .map(parseUpcomingOrder)
+            .find(o => !o.cancelled);
+
+        if (!order) throw new Error(this.i18n.t('errors.no_upcoming_order'));
+        if (!order.editable) throw new Error(this.i18n.t('errors.order_locked'));
+
+        if (order.editableUntil && order.editableUntil <= new Date()) {
+            const cutoff = this.getLocalDateTime(order.editableUntil);
+            throw new Error(this.i18n.t('errors.order_not_editable', { cutoff: `${cutoff.date} ${cutoff.time}` }));
+        }
+        return order;
+    }
+
+    async onFlowActionAddItemToOrder(args, state) {
+        if (!args.product || !args.product.id) throw new Error(this.i18n.t('errors.no_product'));
+
+        const order = await this.getEditableOrder();
+        const quantity = args.pieces && args.pieces > 0 ? args.pieces : 1;
+
+        // Goods added to a placed order count against the budget like cart additions
+        await this.checkBudget(args.product.id, args.product.name, quantity, { currentTotal: order.total });
+
+        this.log(`Adding ${quantity}x ${args.product.name} to order ${order.id}`);
+        await this.client.addToOrder(order.id, args.product.id, quantity);
+        await this.updateData();
+
+        return { order_id: order.id };
+    }
+
+    async onFlowActionOrderItemAutocomplete(query, args) {
+        try {
+            const order = await this.getEditableOrder();
+            const items = await this.client.getOrderItems(order.id, { upcoming: true });
+
+            return items
+                .filter(i => (i.name || '').toLowerCase().includes((query || '').toLowerCase()))
+                .map(i => ({
+                    name: i.name || this.i18n.t('product.fallback_name', { id: i.id }),
+                    description: `${i.quantity}x`,
+                    id: i.id
+                }));
+        } catch (err) {
+            this.error(err);
+            return [];
+        }
+    }
+
+    async onFlowActionRemoveItemFromOrder(args, state) {
+        if (!args.product_in_order || !args.product_in_order.id) throw new Error(this.i18n.t('errors.no_item'));
+
+        const order = await this.getEditableOrder();
+
+        this.log(`Removing ${args.product_in_order.name} from order ${order.id}`);
+        await this.client.removeFromOrder(order.id, args.product_in_order.id);
+        await this.updateData();
+
+        return { order_id: order.id };
+    }
+
+    async onFlowActionAddShoppingListAutocomplete(query, args) {
+        try {
+            const lists = await this.client.getShoppingLists();
+
+            const filtered = lists.filter(l =>
+                l.name.toLowerCase().includes((query || '').toLowerCase())
+            );
+
+            return filtered.map(l => ({
+                name: l.name,
+                description: this.i18n.t('autocomplete.list_items', { count: l.productCount }),
+                id: l.id
+            }));
+        } catch (err) {
+            this.error(err);
+            return [];
+        }
+    }
+
+    async onFlowActionAddShoppingList(args, state) {
+        if (!args.shopping_list || !args.shopping_list.id) throw new Error(this.i18n.t('errors.no_shopping_list'));
+
+        const list = await this.client.getShoppingList(args.shopping_list.id);
+        let added = 0;
+        let skipped = 0;
+        let unavailable = 0;
+
+        for (const product of list.products) {
+            const productId = product.productId || product.id;
+            const quantity = product.quantity || product.amount || 1;
+
+            // Entries without a product (e.g. free-text notes) can't be added
+            if (!productId) {
+                skipped++;
+                continue;
+            }
+
+            if (product.inStock === false || product.available === false) {
+                unavailable++;
+                continue;
+            }
+
+            try {
+                await this.updateCart(productId, product.name || this.i18n.t('product.fallback_name', { id: productId }), quantity);
+                added++;
+            } catch (err) {
+                // Anything but a sold-out or delisted product would fail the rest of the list too
+                if (!(err instanceof OutOfStockError || err instanceof NotFoundError)) {
+                    await this.updateData();
+                    throw err;
+                }
+                this.error(`Product ${productId} from list ${list.name} is unavailable:`, err.message);
+                unavailable++;
+            }
+        }
+
+        this.log(`Shopping list "${list.name}": ${added} added, ${skipped} skipped, ${unavailable} unavailable`);
+
+        await this.updateData();
+
+        return {
+            added_count: added,
+            skipped_count: skipped,
+            unavailable_count: unavailable
+        };
+    }
+
+    async onFlowActionReorderAutocomplete(query, args) {
+        try {
+            const history = await this.client.getOrderHistory(20);
+            const orders = Array.isArray(history) ? history : [];
+
+            const results = orders.map(order => {
+                const date = order.orderTime
+                    ? this.i18n.formatDate(new Date(order.orderTime), this.homey.clock.getTimezone())
+                    : this.i18n.t('autocomplete.unknown_date');
+                const total = order.priceComposition?.total;
+                return {
+                    name: date,
+                    description: total
+                        ? this.i18n.formatPrice(total.amount, total.currency)
+                        : this.i18n.t('autocomplete.order', { id: order.id }),
+                    id: String(order.id)
+                };
+            });
+
+            if (!query) return results;
+            return results.filter(r =>
+                r.name.toLowerCase().includes(query.toLowerCase()) || r.id.includes(query)
+            );
+        } catch (err) {
+            this.error(err);
+            return [];
+        }
+    }
+
+    async onFlowActionReorder(args, state) {
+        if (!args.order || !args.order.id) throw new Error(this.i18n.t('errors.no_order'));
+
+        const items = await this.client.getOrderItems(args.order.id);
+        if (items.length === 0) throw new Error(this.i18n.t('errors.order_empty'));
+
+        let added = 0;
+        const unavailable = [];
+        const failed = [];
+
+        for (const item of items) {
+            const name = item.name || this.i18n.t('product.fallback_name', { id: item.id });
+            try {
+                await this.updateCart(item.id, name, item.quantity);
+                added++;
+            } catch (err) {
+                // Without a session or with the cart endpoint down, the other items fail too
+                if (err instanceof AuthError || err instanceof CircuitOpenError) {
+                    await this.updateData();
+                    throw err;
+                }
+
+                this.error(`Failed to re-add product ${item.id} from order ${args.order.id}:`, err.message);
+                if (err instanceof OutOfStockError || err instanceof NotFoundError) {
+                    unavailable.push(name);
+                } else {
+                    failed.push(name);
+                }
+            }
+        }
+
+        this.log(`Reorder ${args.order.id}: ${added} added, ${unavailable.length} no longer available, ${failed.length} failed`);
+
+        await this.updateData();
+
+        return {
+            added_count: added,
+            unavailable_count: unavailable.length,
+            unavailable_items: unavailable.join(', '),
+            failed_count: failed.length,
+            failed_items: failed.join(', ')
+        };
+    }
+
+    async getAvailableSlots() {
+        const deliverySlots = await this.client.getDeliverySlots();
+        return RohlikClient.parseDeliverySlots(deliverySlots).filter(slot => slot.available);
+    }
+
+    async reserveSlot(slot) {
+        this.log(`Reserving delivery slot ${slot.id} (${slot.start} - ${slot.end})`);
+        await this.client.reserveTimeslot(slot.id, slot.type);
+        await this.updateReservationData();
+
+        const start = this.getLocalDateTime(new Date(slot.start));
+        const end = this.getLocalDateTime(new Date(slot.end));
+        return {
+            start: `${start.date} ${start.time}`,
+            end: `${end.date} ${end.time}`,
+            price: slot.price
+        };
+    }
+
+    async onFlowActionReserveSlotInWindow(args, state) {
+        const slots = await this.getAvailableSlots();
+        const slot = slots
+            .filter(s => this.slotMatchesWindow(s, args))
+            .sort((a, b) => new Date(a.start) - new Date(b.start))[0];
+
+        if (!slot) throw new Error(this.i18n.t('errors.no_slot_in_window'));
+
+        return this.reserveSlot(slot);
+    }
+
+    async onFlowActionReserveCheapestSlot(args, state) {
+        const slots = await this.getAvailableSlots();
+        const slot = slots
+            .filter(s => this.slotMatchesWindow(s, { day: args.day }))
+            .sort((a, b) => (a.price - b.price) || (new Date(a.start) - new Date(b.start)))[0];
+
+        if (!slot) throw new Error(this.i18n.t('errors.no_slot'));
+
+        return this.reserveSlot(slot);
+    }
+
+    async onFlowActionExtendSlotReservation(args, state) {
+        const reservation = await this.client.extendTimeslotReservation();
+        if (!reservation) throw new Error(this.i18n.t('errors.no_reservation'));
+
+        // Reset so the expiring trigger can fire again for the extended reservation
+        this.reservationMinutesLeft = null;
+        await this.updateReservationData();
+    }
+
+    async onFlowActionCancelSlotReservation(args, state) {
+        await this.client.cancelTimeslotReservation();
+        await this.updateReservationData();
+    }
+
+    parseFlowDate(value) {
+        // Flow date arguments come as dd-mm-yyyy
+        const match = String(value || '').match(/^(\d{2})-(\d{2})-(\d{4})$/);
+        if (!match) throw new Error(this.i18n.t('errors.invalid_date', { value }));
+        return `${match[3]}-${match[2]}-${match[1]}`;
+    }
+
+    async onFlowActionGetSpendSummary(args, state) {
+        const from = this.parseFlowDate(args.from);
+        const to = this.parseFlowDate(args.to);
+        if (from > to) throw new Error(this.i18n.t('errors.invalid_range'));
+
+        const orders = await this.getSpendingOrders(from);
+        const summary = summarizeSpending(orders, from, to);
+
+        return {
+            total: summary.total,
+            order_count: summary.count,
+            average: summary.average,
+            currency: summary.currency || ''
+        };
+    }
+
+    async onFlowActionWatchProductPrice(args, state) {
+        if (!args.product || !args.product.id) throw new Error(this.i18n.t('errors.no_product'));
+
+        const productId = String(args.product.id);
+        const [current] = await this.client.getProductPrices([productId]);
+        const watchlist = this.getPriceWatchlist();
+
+        watchlist[productId] = {
+            name: args.product.name,
+            price: current ? current.price : null,
+            currency: current ? current.currency : null,
+            history: current ? [{ time: new Date().toISOString(), price: current.price }] : []
+        };
+
+        await this.setStoreValue('price_watchlist', watchlist);
+        this.log(`Watching price of ${args.product.name} (${productId})`);
+    }
+
+    async onFlowActionWatchedProductAutocomplete(query, args) {
+        const watchlist = this.getPriceWatchlist();
+
+        return Object.entries(watchlist)
+            .filter(([id, entry]) => entry.name.toLowerCase().includes((query || '').toLowerCase()))
+            .map(([id, entry]) => ({
+                name: entry.name,
+                description: entry.price !== null ? this.i18n.formatPrice(entry.price, entry.currency) : '',
+                id
+            }));
+    }
+
+    async onFlowActionUnwatchProductPrice(args, state) {
+        if (!args.product || !args.product.id) throw new Error(this.i18n.t('errors.no_product'));
+
+        const watchlist = this.getPriceWatchlist();
+        delete watchlist[String(args.product.id)];
+        await this.setStoreValue('price_watchlist', watchlist);
+    }
+
+    async onFlowActionSuggestDueItems(args, state) {
+        const due = getDueItems(await this.getPastOrders(), this.getLocalDateTime(new Date()).date);
+
+        return {
+            items: due.map(item => item.name).join(', '),
+            count: due.length
+        };
+    }
+
+    async onFlowActionAddDueStaples(args, state) {
+        const orders = await this.getPastOrders();
+        const optOut = this.getStoreValue('staples_opt_out') || [];
+        const cart = await this.client.getCartContent();
+
+        const due = getDueItems(orders, this.getLocalDateTime(new Date()).date).filter(item =>
+            !optOut.includes(item.id) && !cart.items.some(i => i.id === item.id)
+        );
+
+        const added = [];
+        for (const item of due) {
+            try {
+                await this.updateCart(item.id, item.name, item.quantity);
+                added.push(item.name);
+            } catch (err) {
+                this.error(`Failed to add staple ${item.id}:`, err.message);
+            }
+        }
+
+        this.log(`Added ${added.length} of ${due.length} due staples`);
+
+        await this.updateData();
+
+        return {
+            items: added.join(', '),
+            added_count: added.length
+        };
+    }
+
+    async onFlowActionStapleAutocomplete(query, args) {
+        try {
+            // Autocomplete must answer quickly, missing history loads in the background
+            const orders = await this.getPastOrders({ refresh: false });
+            const estimates = estimateIntervals(orders, this.getLocalDateTime(new Date()).date);
+            const optOut = this.getStoreValue('staples_opt_out') || [];
+
+            return estimates
+                .filter(item => item.name.toLowerCase().includes((query || '').toLowerCase()))
+                .map(item => ({
+                    name: item.name,
+                    description: this.i18n.t(optOut.includes(item.id) ? 'autocomplete.staple_excluded' : 'autocomplete.staple_interval', {
+                        days: item.interval
+                    }),
+                    id: item.id
+                }));
+        } catch (err) {
+            this.error(err);
+            return [];
+        }
+    }
+
+    async onFlowActionSetStapleOptOut(args, state) {
+        if (!args.product || !args.product.id) throw new Error(this.i18n.t('errors.no_product'));
+
+        const productId = String(args.product.id);
+        const mode = args.mode.id || args.mode;
+        const optOut = (this.getStoreValue('staples_opt_out') || []).filter(id => id !== productId);
+
+        if (mode === 'exclude') optOut.push(productId);
+
+        await this.setStoreValue('staples_opt_out', optOut);
+    }
+
+    async onFlowActionTestApiMethod(args, state) {
+        const method = args.method;
+        this.log(`Testing API method: ${method}`);
 
         if (typeof this.client[method] !== 'function') {
             throw new Error(`Method ${method} not found in RohlikClient`);
@@ -519,6 +1965,23 @@ module.exports = class RohlikDevice extends Homey.Device {
         }
     }
 
+    async onFlowConditionProductCheaperThan(args, state) {
+        if (!args.product || !args.product.id) throw new Error(this.i18n.t('errors.no_product'));
+
+        const productId = String(args.product.id);
+        const watched = this.getPriceWatchlist()[productId];
+        let price = watched ? watched.price : null;
+
+        // Products that aren't watched have no stored price, ask the API
+        if (typeof price !== 'number') {
+            const [current] = await this.client.getProductPrices([productId]);
+            if (!current) throw new Error(this.i18n.t('errors.price_unavailable'));
+            price = current.price;
+        }
+
+        return price < args.price;
+    }
+
     async onFlowConditionExpressSlotsAvailable(args, state) {
         return this.getCapabilityValue('alarm_slots_available') === true;
     }
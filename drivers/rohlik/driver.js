@@ -1,5 +1,6 @@
 const Homey = require('homey');
 const RohlikClient = require('../../lib/RohlikClient');
+const Logger = require('../../lib/Logger');
 
 module.exports = class RohlikDriver extends Homey.Driver {
 
@@ -10,14 +11,20 @@ module.exports = class RohlikDriver extends Homey.Driver {
     async onPair(session) {
         this.log('onPair session started');
         let credentials = {};
+        let client = null;
 
         session.setHandler('login', async (data) => {
-            this.log('Login request received', data);
-            const client = new RohlikClient({
+            this.log('Login request received', Logger.redact(data));
+            client = new RohlikClient({
                 username: data.username,
                 password: data.password,
                 country: data.country,
-                logger: this.log.bind(this)
+                logger: new Logger({
+                    log: this.log.bind(this),
+                    error: this.error.bind(this),
+                    prefix: '[RohlikClient]',
+                    requestLog: this.homey.app.requestLog
+                })
             });
 
             try {
@@ -36,6 +43,16 @@ module.exports = class RohlikDriver extends Homey.Driver {
             }
         });
 
+        session.setHandler('list_addresses', async () => {
+            if (!client || !client.userId) throw new Error('Please log in first');
+            return client.getAddresses();
+        });
+
+        session.setHandler('select_address', async (addressId) => {
+            credentials.addressId = addressId || '';
+            return true;
+        });
+
         session.setHandler('list_devices', async () => {
             this.log('list_devices request received');
 
@@ -52,11 +69,12 @@ module.exports = class RohlikDriver extends Homey.Driver {
                 settings: {
                     username: credentials.username,
                     password: credentials.password,
-                    country: credentials.country
+                    region: (credentials.country || 'cz').toLowerCase(),
+                    address_id: credentials.addressId || ''
                 }
             };
 
-            this.log('Returning device:', device);
+            this.log('Returning device:', Logger.redact(device));
             return [device];
         });
     }
@@ -0,0 +1,51 @@
+// Flat cart lines for exporting the cart and for telling what changed between polls.
+
+const CSV_COLUMNS = ['product_id', 'name', 'quantity', 'unit_price', 'price', 'currency'];
+
+// Reduces a getCartContent() result to plain lines: { product_id, name, quantity, unit_price, price, currency }.
+// price is the line total and unit_price the price of one piece, not the per kg or litre price.
+function toCartLines(cart) {
+  return (cart?.items || []).map(item => ({
+    product_id: item.id,
+    name: item.name,
+    quantity: item.quantity,
+    unit_price: item.quantity ? Math.round((item.price / item.quantity) * 100) / 100 : item.price,
+    price: item.price,
+    currency: item.currency || cart.currency || null
+  }));
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(lines) {
+  return [CSV_COLUMNS, ...lines.map(line => CSV_COLUMNS.map(column => line[column]))]
+    .map(row => row.map(csvField).join(','))
+    .join('\n');
+}
+
+/**
+ * Compares two lists of cart lines by product. Returns the lines that were
+ * added and removed, and the lines whose quantity changed, with their
+ * previous_quantity.
+ */
+function diffCart(previous, current) {
+  const before = new Map(previous.map(line => [line.product_id, line]));
+  const after = new Map(current.map(line => [line.product_id, line]));
+
+  return {
+    added: current.filter(line => !before.has(line.product_id)),
+    removed: previous.filter(line => !after.has(line.product_id)),
+    changed: current
+      .filter(line => before.has(line.product_id) && before.get(line.product_id).quantity !== line.quantity)
+      .map(line => ({ ...line, previous_quantity: before.get(line.product_id).quantity }))
+  };
+}
+
+module.exports = {
+  toCartLines,
+  toCsv,
+  diffCart
+};
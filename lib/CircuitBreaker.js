@@ -0,0 +1,44 @@
+const { CircuitOpenError } = require('./RohlikErrors');
+
+// Stops calling an endpoint for a while after it failed several times in a row,
+// so a flaky endpoint is skipped instead of retried on every poll.
+// After the cooldown one request is let through; its outcome closes or reopens the circuit.
+class CircuitBreaker {
+  constructor({ threshold = 3, cooldown = 60 * 1000 } = {}) {
+    this.threshold = threshold;
+    this.cooldown = cooldown;
+    this.circuits = new Map();
+  }
+
+  // Groups URLs by endpoint: query strings and numeric IDs don't make a new circuit
+  static endpointKey(url) {
+    return url.split('?')[0].replace(/\/\d+(?=\/|$)/g, '/:id');
+  }
+
+  check(key, now = Date.now()) {
+    const circuit = this.circuits.get(key);
+    if (circuit && circuit.openUntil > now) {
+      throw new CircuitOpenError(key, circuit.openUntil);
+    }
+  }
+
+  recordSuccess(key) {
+    this.circuits.delete(key);
+  }
+
+  recordFailure(key, now = Date.now()) {
+    const circuit = this.circuits.get(key) || { failures: 0, openUntil: 0 };
+    circuit.failures++;
+
+    if (circuit.failures >= this.threshold) {
+      circuit.openUntil = now + this.cooldown;
+    }
+    this.circuits.set(key, circuit);
+  }
+
+  reset() {
+    this.circuits.clear();
+  }
+}
+
+module.exports = CircuitBreaker;
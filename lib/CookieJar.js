@@ -0,0 +1,103 @@
+class CookieJar {
+  constructor(cookies = []) {
+    this.cookies = new Map();
+    for (const cookie of cookies) {
+      if (cookie && cookie.name) this.cookies.set(cookie.name, cookie);
+    }
+  }
+
+  // Splits a combined set-cookie header without breaking on commas inside Expires dates.
+  static splitSetCookieHeader(header) {
+    if (!header) return [];
+    return header.split(/,(?=\s*[^;=\s]+=)/).map(c => c.trim()).filter(Boolean);
+  }
+
+  static parse(setCookie, now = Date.now()) {
+    const [pair, ...attributes] = setCookie.split(';').map(part => part.trim());
+    const separator = pair.indexOf('=');
+    if (separator <= 0) return null;
+
+    const cookie = {
+      name: pair.slice(0, separator).trim(),
+      value: pair.slice(separator + 1).trim(),
+      expires: null
+    };
+
+    for (const attribute of attributes) {
+      const [key, ...rest] = attribute.split('=');
+      const value = rest.join('=');
+
+      switch (key.toLowerCase()) {
+        case 'max-age': {
+          // Max-Age wins over Expires
+          const seconds = parseInt(value, 10);
+          if (!isNaN(seconds)) cookie.expires = now + seconds * 1000;
+          cookie.hasMaxAge = true;
+          break;
+        }
+        case 'expires': {
+          const date = Date.parse(value);
+          if (!cookie.hasMaxAge && !isNaN(date)) cookie.expires = date;
+          break;
+        }
+        default:
+          break;
+      }
+    }
+
+    delete cookie.hasMaxAge;
+    return cookie;
+  }
+
+  // Merges set-cookie values into the jar. Returns true when the jar changed.
+  setCookies(setCookies, now = Date.now()) {
+    let changed = false;
+
+    for (const setCookie of setCookies || []) {
+      const cookie = CookieJar.parse(setCookie, now);
+      if (!cookie) continue;
+
+      const existing = this.cookies.get(cookie.name);
+
+      if (cookie.value === '' || (cookie.expires !== null && cookie.expires <= now)) {
+        changed = this.cookies.delete(cookie.name) || changed;
+        continue;
+      }
+
+      if (!existing || existing.value !== cookie.value || existing.expires !== cookie.expires) {
+        this.cookies.set(cookie.name, cookie);
+        changed = true;
+      }
+    }
+
+    return changed;
+  }
+
+  getCookieHeader(now = Date.now()) {
+    const pairs = [];
+
+    for (const [name, cookie] of this.cookies) {
+      if (cookie.expires !== null && cookie.expires <= now) {
+        this.cookies.delete(name);
+        continue;
+      }
+      pairs.push(`${name}=${cookie.value}`);
+    }
+
+    return pairs.join('; ');
+  }
+
+  isEmpty() {
+    return this.getCookieHeader() === '';
+  }
+
+  clear() {
+    this.cookies.clear();
+  }
+
+  toJSON() {
+    return Array.from(this.cookies.values());
+  }
+}
+
+module.exports = CookieJar;
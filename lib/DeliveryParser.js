@@ -0,0 +1,143 @@
+// Parsing of the upcoming order, delivery announcement and timeslot responses into device state.
+
+// Courier states, in which the announcement carries an ETA
+const ON_THE_WAY_STATES = ['delivery', 'arriving'];
+const ARRIVING_MINUTES = 5;
+// How long "delivered" is shown before falling back to no upcoming order
+const DELIVERED_STATE_DURATION = 2 * 60 * 60 * 1000;
+
+// The courier ETA is only available as minutes inside the announcement HTML
+function parseEta(content) {
+  if (!content) return 0;
+  const match = content.match(/<span[^>]*>(\d+)<\/span>/);
+  return match && match[1] ? parseInt(match[1], 10) : 0;
+}
+
+function parseDeliveryAnnouncements(data) {
+  const result = { state: 'no_upcoming_order', eta: 0 };
+  const announcements = data?.announcements;
+
+  if (!Array.isArray(announcements) || announcements.length === 0) return result;
+
+  // Only the first announcement describes the current delivery
+  const announcement = announcements[0];
+
+  if (announcement.icon === 'iconDeliveryCar') {
+    result.state = 'delivery';
+    result.eta = parseEta(announcement.content);
+  } else if (announcement.icon === 'iconProducts') {
+    result.state = 'preparing_bags';
+  }
+
+  return result;
+}
+
+function toDate(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const date = typeof value === 'number' ? new Date(value * 1000) : new Date(value);
+  return isNaN(date) ? null : date;
+}
+
+// Upcoming orders come in slightly different shapes per region and app version
+function parseUpcomingOrder(order) {
+  const slot = order.deliverySlot || order.timeSlot || {};
+  const status = String(order.state || order.status || '').toUpperCase();
+
+  return {
+    id: String(order.id),
+    windowStart: toDate(slot.since) || toDate(order.deliveryUnixTime) || toDate(order.deliveryTime),
+    windowEnd: toDate(slot.till),
+    // Locked orders (already being prepared) may still carry a deadline
+    editable: order.editable !== false,
+    editableUntil: order.editable === false ? null : toDate(order.editDeadline || order.editableUntil),
+    total: Number(order.priceComposition?.total?.amount) || 0,
+    cancelled: status.includes('CANCEL')
+  };
+}
+
+/**
+ * Combines upcoming orders and delivery announcements into one delivery state:
+ * no_upcoming_order, order_placed, editable, preparing_bags, delivery (on the way),
+ * arriving, delivered or cancelled. `previousState`, `previousOrderId` and
+ * `deliveredAt` carry "delivered" over polls, since a delivered order simply
+ * disappears from the upcoming orders.
+ */
+function parseDeliveryState({ upcomingOrders, announcements, previousState = null, previousOrderId = null, deliveredAt = null, now = new Date() }) {
+  const orders = (Array.isArray(upcomingOrders) ? upcomingOrders : []).filter(Boolean).map(parseUpcomingOrder);
+  const activeOrder = orders.find(o => !o.cancelled) || null;
+  const order = activeOrder || orders[0] || null;
+  const wasOnTheWay = ON_THE_WAY_STATES.includes(previousState);
+  const previousOrderGone = previousOrderId ? !orders.some(o => o.id === String(previousOrderId)) : !activeOrder;
+  const announcement = parseDeliveryAnnouncements(announcements);
+
+  const result = {
+    state: 'no_upcoming_order',
+    eta: 0,
+    orderId: order ? order.id : null,
+    windowStart: order ? order.windowStart : null,
+    windowEnd: order ? order.windowEnd : null,
+    minutesUntilWindow: order && order.windowStart ? Math.max(0, Math.floor((order.windowStart - now) / 60000)) : null,
+    editableUntil: order ? order.editableUntil : null,
+    deliveredAt: null
+  };
+
+  if (announcement.state === 'delivery') {
+    result.state = announcement.eta > 0 && announcement.eta <= ARRIVING_MINUTES ? 'arriving' : 'delivery';
+    result.eta = announcement.eta;
+  } else if (announcement.state === 'preparing_bags') {
+    result.state = 'preparing_bags';
+  } else if (wasOnTheWay && previousOrderGone) {
+    result.state = 'delivered';
+    result.deliveredAt = now;
+  } else if (wasOnTheWay) {
+    // The announcement may drop out for a poll, the order is delivered once it leaves the list
+    result.state = previousState;
+  } else if (deliveredAt && !activeOrder && now - new Date(deliveredAt) < DELIVERED_STATE_DURATION) {
+    // The delivered order is gone from the list, so an active order there is a new one
+    result.state = 'delivered';
+    result.deliveredAt = new Date(deliveredAt);
+  } else if (order && order.cancelled) {
+    result.state = 'cancelled';
+  } else if (order) {
+    result.state = order.editableUntil && order.editableUntil > now ? 'editable' : 'order_placed';
+  }
+
+  return result;
+}
+
+function parseSubtitle(slot) {
+  return slot && slot.subtitle ? slot.subtitle.replace(/^\(|\)$/g, '') : null;
+}
+
+/**
+ * Reduces the timeslots response to the three slot options shown on the device.
+ * `express` is null when there is no express slot, and undefined when the slot
+ * exists but carries no capacity information.
+ */
+function parseSlotSummary(data) {
+  let express = null;
+
+  if (data && data.expressSlot) {
+    const capacity = data.expressSlot.timeSlotCapacityDTO;
+    express = capacity
+      ? { available: capacity.totalFreeCapacityPercent > 0, message: capacity.capacityMessage || null }
+      : undefined;
+  }
+
+  const preselected = Array.isArray(data?.preselectedSlots) ? data.preselectedSlots : [];
+
+  return {
+    express,
+    common: parseSubtitle(preselected.find(s => s.type === 'FIRST')),
+    eco: parseSubtitle(preselected.find(s => s.type === 'ECO'))
+  };
+}
+
+module.exports = {
+  ON_THE_WAY_STATES,
+  parseEta,
+  parseDeliveryAnnouncements,
+  parseUpcomingOrder,
+  parseDeliveryState,
+  parseSlotSummary
+};
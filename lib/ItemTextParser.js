@@ -0,0 +1,129 @@
+// Turns free text like "2x milk, bread and 10 eggs" into search queries, and picks
+// the best matching product for each from the search results.
+
+// Words that join items in speech, per account language. English is always
+// understood, since voice assistants often pass English text.
+const CONJUNCTIONS = {
+  en: ['and', '&', '\\+'],
+  cs: ['a', 'i'],
+  de: ['und'],
+  hu: ['és'],
+  ro: ['și', 'si']
+};
+
+const UNITS = 'x|×|pcs|pc|ks|stk|stück|db|buc';
+// "2x milk", "2 x milk", "2 pcs milk", "10 eggs"
+const LEADING_QUANTITY = new RegExp(`^(\\d+)(?:\\s*(?:${UNITS})\\.?\\s+|x|×|\\s+)(.+)$`, 'i');
+// "milk x2", "milk 2x", "milk × 2"
+const TRAILING_QUANTITY = /^(.+?)\s+(?:(?:x|×)\s*(\d+)|(\d+)\s*(?:x|×))$/i;
+
+// Below this share of the query matched, a search result is not the product asked for
+const MIN_SIMILARITY = 0.5;
+
+function normalize(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+function tokenize(text) {
+  return normalize(text).split(/[^a-z0-9]+/).filter(token => token.length >= 2 && !/^\d+$/.test(token));
+}
+
+function parseEntry(text) {
+  let match = text.match(LEADING_QUANTITY);
+  if (match) return { query: match[2].trim(), quantity: parseInt(match[1], 10) };
+
+  match = text.match(TRAILING_QUANTITY);
+  if (match) return { query: match[1].trim(), quantity: parseInt(match[2] || match[3], 10) };
+
+  return { query: text, quantity: 1 };
+}
+
+/**
+ * Splits free text into [{ query, quantity }]. Items are separated by commas,
+ * semicolons, sentence ends, new lines and conjunctions; a comma between digits
+ * ("1,5%") is kept.
+ */
+function parseItemText(text, language = 'en') {
+  const words = [...new Set([...CONJUNCTIONS.en, ...(CONJUNCTIONS[language] || [])])];
+  const conjunction = new RegExp(`\\s+(?:${words.join('|')})\\s+`, 'i');
+
+  return String(text || '')
+    .split(/(?<!\d),|,(?!\d)|[;\n]|[.!?]\s+/)
+    .flatMap(part => part.split(conjunction))
+    .map(part => part.trim().replace(/[.!?]+$/, ''))
+    .filter(Boolean)
+    .map(parseEntry)
+    .filter(entry => entry.query && entry.quantity > 0);
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+function tokenSimilarity(queryToken, nameToken) {
+  // A query word may be the start of a longer product word ("egg" in "eggs")
+  const prefix = nameToken.slice(0, queryToken.length);
+  const distance = Math.min(levenshtein(queryToken, nameToken), levenshtein(queryToken, prefix));
+  return 1 - distance / Math.max(queryToken.length, 1);
+}
+
+// Share of the query words found in the product name, 0 to 1
+function similarity(query, name) {
+  const queryTokens = tokenize(query);
+  const nameTokens = tokenize(name);
+  if (queryTokens.length === 0 || nameTokens.length === 0) return 0;
+
+  const total = queryTokens.reduce((sum, token) =>
+    sum + Math.max(0, ...nameTokens.map(nameToken => tokenSimilarity(token, nameToken))), 0);
+
+  return total / queryTokens.length;
+}
+
+/**
+ * Picks the search result that best matches `query`, or null when none is close enough.
+ * Products bought before (`purchaseCounts`: Map of id to number of orders) and of the
+ * preferred brand rank higher, sold-out products lower.
+ */
+function pickProduct(query, products, { purchaseCounts = new Map(), preferredBrand = '' } = {}) {
+  const brand = normalize(preferredBrand).trim();
+  let best = null;
+
+  for (const product of products) {
+    const text = similarity(query, product.name);
+    if (text < MIN_SIMILARITY) continue;
+
+    const purchases = purchaseCounts.get(product.id) || 0;
+    const score = text
+      + (purchases > 0 ? 0.3 + 0.05 * Math.min(purchases, 4) : 0)
+      + (brand && normalize(product.brand).includes(brand) ? 0.2 : 0)
+      - (product.inStock === false ? 0.5 : 0);
+
+    // Ties keep the order of the search results
+    if (!best || score > best.score) best = { product, score };
+  }
+
+  return best ? best.product : null;
+}
+
+module.exports = {
+  parseItemText,
+  similarity,
+  pickProduct
+};
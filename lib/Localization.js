@@ -0,0 +1,65 @@
+const path = require('path');
+
+const REGIONS = {
+  cz: { language: 'cs', locale: 'cs-CZ', currency: 'CZK' },
+  de: { language: 'de', locale: 'de-DE', currency: 'EUR' },
+  at: { language: 'de', locale: 'de-AT', currency: 'EUR' },
+  hu: { language: 'hu', locale: 'hu-HU', currency: 'HUF' },
+  ro: { language: 'ro', locale: 'ro-RO', currency: 'RON' }
+};
+
+function loadStrings(language) {
+  try {
+    return require(path.join(__dirname, '..', 'locales', `${language}.json`));
+  } catch (error) {
+    return {};
+  }
+}
+
+function lookup(strings, key) {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), strings);
+}
+
+// Runtime strings follow the account's region, not the Homey language,
+// so a Gurkerl account gets German text and euros.
+class Localization {
+  constructor(region) {
+    const regionId = String(region || 'cz').toLowerCase();
+    const config = REGIONS[regionId] || REGIONS.cz;
+
+    this.region = REGIONS[regionId] ? regionId : 'cz';
+    this.language = config.language;
+    this.locale = config.locale;
+    this.currency = config.currency;
+    this.strings = loadStrings(config.language);
+    this.fallback = loadStrings('en');
+  }
+
+  t(key, vars = {}) {
+    let text = lookup(this.strings, key);
+    if (typeof text !== 'string') text = lookup(this.fallback, key);
+    if (typeof text !== 'string') return key;
+
+    return text.replace(/\{\{(\w+)\}\}/g, (match, name) => (vars[name] !== undefined ? String(vars[name]) : match));
+  }
+
+  formatPrice(amount, currency) {
+    const value = Number(amount) || 0;
+    const code = currency || this.currency;
+
+    try {
+      return new Intl.NumberFormat(this.locale, { style: 'currency', currency: code }).format(value);
+    } catch (error) {
+      // Not an ISO currency code (e.g. a symbol), print it as is
+      return `${value} ${code}`;
+    }
+  }
+
+  formatDate(date, timeZone) {
+    return new Intl.DateTimeFormat(this.locale, { timeZone, dateStyle: 'medium' }).format(date);
+  }
+}
+
+Localization.REGIONS = REGIONS;
+
+module.exports = Localization;
@@ -0,0 +1,104 @@
+const LEVELS = { debug: 0, info: 1, warn: 2, error: 3 };
+
+// Keys whose values identify the account holder or grant access to it
+const SENSITIVE_KEYS = [
+  'password', 'cookie', 'set-cookie', 'email', 'phone', 'address', 'street', 'housenumber',
+  'city', 'zip', 'postalcode', 'postcode', 'firstname', 'lastname', 'fullname', 'gps',
+  'latitude', 'longitude', 'username', 'cookies'
+];
+// Inside these objects the plain `name` is a person's name, not a product's
+const PERSON_KEYS = ['user', 'customer', 'courier', 'recipient'];
+
+const REDACTED = '[redacted]';
+const EMAIL_PATTERN = /[^\s@"'<>]+@[^\s@"'<>]+\.[a-z]{2,}/gi;
+const SESSION_COOKIE_PATTERN = /(PHPSESSIONID|SESSION|JSESSIONID)=[^;\s"']+/gi;
+
+function redactString(value) {
+  return value.replace(EMAIL_PATTERN, REDACTED).replace(SESSION_COOKIE_PATTERN, `$1=${REDACTED}`);
+}
+
+// Returns a copy of `value` that is safe to share: secrets and personal data are masked.
+function redact(value, parentKey = null, seen = new WeakSet()) {
+  if (typeof value === 'string') return redactString(value);
+  if (!value || typeof value !== 'object') return value;
+  if (value instanceof Error) return redactString(value.stack || value.message);
+  if (seen.has(value)) return '[circular]';
+  seen.add(value);
+
+  if (Array.isArray(value)) return value.map(item => redact(item, parentKey, seen));
+
+  const isPerson = parentKey !== null && PERSON_KEYS.includes(parentKey.toLowerCase());
+  const result = {};
+
+  for (const [key, item] of Object.entries(value)) {
+    const lowerKey = key.toLowerCase();
+    const sensitive = SENSITIVE_KEYS.includes(lowerKey) || (isPerson && lowerKey === 'name');
+    result[key] = sensitive && item !== null && item !== undefined ? REDACTED : redact(item, key, seen);
+  }
+  return result;
+}
+
+function format(args) {
+  return args.map(arg => {
+    const safe = redact(arg);
+    return typeof safe === 'string' ? safe : JSON.stringify(safe, null, 2);
+  });
+}
+
+/**
+ * Levelled logger with redaction, writing to the given `log`/`error` functions
+ * (a Homey device's, or the console). Requests are recorded to an optional RequestLog.
+ */
+class Logger {
+  constructor({ log = console.log, error = console.error, level = 'info', prefix = '', requestLog = null } = {}) {
+    this.output = log;
+    this.errorOutput = error;
+    this.prefix = prefix;
+    this.requestLog = requestLog;
+    this.setLevel(level);
+  }
+
+  setLevel(level) {
+    this.level = LEVELS[level] !== undefined ? level : 'info';
+  }
+
+  isEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  write(level, args) {
+    if (!this.isEnabled(level)) return;
+
+    const lines = format(args);
+    if (this.prefix) lines.unshift(this.prefix);
+
+    if (level === 'error') this.errorOutput(...lines);
+    else this.output(...lines);
+  }
+
+  debug(...args) {
+    this.write('debug', args);
+  }
+
+  info(...args) {
+    this.write('info', args);
+  }
+
+  warn(...args) {
+    this.write('warn', args);
+  }
+
+  error(...args) {
+    this.write('error', args);
+  }
+
+  request(entry) {
+    if (this.requestLog) this.requestLog.add(entry);
+    this.debug(`${entry.method} ${entry.path.split('?')[0]} -> ${entry.status || entry.error} (${entry.duration} ms)`);
+  }
+}
+
+Logger.LEVELS = LEVELS;
+Logger.redact = redact;
+
+module.exports = Logger;
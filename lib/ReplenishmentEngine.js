@@ -0,0 +1,71 @@
+// Estimates how often each product is bought from past orders.
+// Orders are { date: 'YYYY-MM-DD', items: [{ id, name, quantity }] }.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toDayNumber(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return Date.UTC(year, month - 1, day) / DAY_MS;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function buildPurchaseHistory(orders) {
+  const products = new Map();
+
+  for (const order of orders) {
+    if (!order || !order.date || !Array.isArray(order.items)) continue;
+
+    for (const item of order.items) {
+      if (!products.has(item.id)) {
+        products.set(item.id, { id: item.id, name: item.name, purchases: [] });
+      }
+      products.get(item.id).purchases.push({ date: order.date, quantity: item.quantity || 1 });
+    }
+  }
+
+  return products;
+}
+
+/**
+ * Returns every product bought at least `minPurchases` times, with its median
+ * repurchase interval in days and whether it is due again.
+ */
+function estimateIntervals(orders, today, { minPurchases = 3, dueRatio = 0.85 } = {}) {
+  const estimates = [];
+
+  for (const product of buildPurchaseHistory(orders).values()) {
+    // Several lines of one product in the same order count as one purchase
+    const days = [...new Set(product.purchases.map(p => toDayNumber(p.date)))].sort((a, b) => a - b);
+    if (days.length < minPurchases) continue;
+
+    const gaps = days.slice(1).map((day, i) => day - days[i]);
+    const interval = median(gaps);
+    const daysSince = toDayNumber(today) - days[days.length - 1];
+
+    estimates.push({
+      id: product.id,
+      name: product.name,
+      interval: Math.round(interval),
+      daysSince,
+      quantity: Math.max(1, Math.round(median(product.purchases.map(p => p.quantity)))),
+      due: daysSince >= interval * dueRatio
+    });
+  }
+
+  return estimates.sort((a, b) => (b.daysSince / b.interval) - (a.daysSince / a.interval));
+}
+
+function getDueItems(orders, today, options) {
+  return estimateIntervals(orders, today, options).filter(estimate => estimate.due);
+}
+
+module.exports = {
+  buildPurchaseHistory,
+  estimateIntervals,
+  getDueItems
+};
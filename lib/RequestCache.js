@@ -0,0 +1,46 @@
+// Caches GET responses for a limited time and shares one request between
+// concurrent callers of the same URL. Failed requests are never cached.
+class RequestCache {
+  constructor() {
+    this.entries = new Map();
+    this.inFlight = new Map();
+  }
+
+  async get(key, ttl, fetcher, now = Date.now()) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt > now) return entry.value;
+
+    if (this.inFlight.has(key)) return this.inFlight.get(key);
+
+    const request = fetcher()
+      .then(value => {
+        // An invalidation during the request means the value may already be stale
+        if (this.inFlight.get(key) === request) {
+          this.entries.set(key, { value, expiresAt: Date.now() + ttl });
+        }
+        return value;
+      })
+      .finally(() => {
+        if (this.inFlight.get(key) === request) this.inFlight.delete(key);
+      });
+
+    this.inFlight.set(key, request);
+    return request;
+  }
+
+  // Drops cached responses and forgets pending requests whose key starts with one of the prefixes
+  invalidate(...prefixes) {
+    for (const map of [this.entries, this.inFlight]) {
+      for (const key of [...map.keys()]) {
+        if (prefixes.some(prefix => key.startsWith(prefix))) map.delete(key);
+      }
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+    this.inFlight.clear();
+  }
+}
+
+module.exports = RequestCache;
@@ -0,0 +1,34 @@
+// Fixed-size buffer of the most recent API requests, for bug reports.
+// Entries hold no request or response bodies.
+class RequestLog {
+  constructor(size = 200) {
+    this.size = size;
+    this.entries = [];
+  }
+
+  add({ method, path, status = null, duration = 0, error = null }) {
+    this.entries.push({
+      time: new Date().toISOString(),
+      method,
+      // Query strings carry search terms and account IDs
+      path: path.split('?')[0],
+      status,
+      duration,
+      ...(error && { error })
+    });
+
+    if (this.entries.length > this.size) {
+      this.entries.splice(0, this.entries.length - this.size);
+    }
+  }
+
+  clear() {
+    this.entries = [];
+  }
+
+  toJSON() {
+    return [...this.entries];
+  }
+}
+
+module.exports = RequestLog;
@@ -1,5 +1,19 @@
 const fetch = require('node-fetch');
 const EventEmitter = require('events');
+const CookieJar = require('./CookieJar');
+const CircuitBreaker = require('./CircuitBreaker');
+const Logger = require('./Logger');
+const RequestCache = require('./RequestCache');
+const Localization = require('./Localization');
+const {
+  AuthError,
+  OutOfStockError,
+  ServerError,
+  NetworkError,
+  CircuitOpenError,
+  parseRetryAfter,
+  errorFromResponse
+} = require('./RohlikErrors');
 
 const COUNTRY_URLS = {
   CZ: 'https://www.rohlik.cz',
@@ -9,18 +23,170 @@ const COUNTRY_URLS = {
   RO: 'https://www.sezamo.ro'
 };
 
+// Search needs the shop's company ID. Only the ID of rohlik.cz is confirmed; the other
+// sites keep the 1 the app always sent until their own ID is checked against their searches.
+const COUNTRY_COMPANY_IDS = {
+  CZ: 1
+};
+
+// Filters and sorting run on this many of the most relevant results, since the
+// search endpoint's filterData format is undocumented
+const SEARCH_POOL_SIZE = 50;
+
+// Orderings of search results; relevance keeps the order of the shop
+const SEARCH_SORTS = {
+  price: (a, b) => a.price - b.price,
+  price_per_unit: (a, b) => (a.pricePerUnit ?? Infinity) - (b.pricePerUnit ?? Infinity)
+};
+
+// Methods that are safe to repeat when the server may have processed the request
+const RETRYABLE_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+
+// Upcoming orders can still be changed, also on the website
+const UPCOMING_ORDER_TTL = 60 * 1000;
+
+// How long GET responses stay fresh, by path prefix (first match wins)
+const CACHE_TTL = [
+  ['/services/frontend-service/v2/cart', 30 * 1000],
+  ['/services/frontend-service/announcements/delivery', 20 * 1000],
+  ['/services/frontend-service/v1/timeslot-reservation', 30 * 1000],
+  ['/services/frontend-service/timeslots-api/', 2 * 60 * 1000],
+  ['/services/frontend-service/search-metadata', 5 * 60 * 1000],
+  ['/services/frontend-service/v1/delivery-addresses', 10 * 60 * 1000],
+  ['/api/v3/orders/upcoming', UPCOMING_ORDER_TTL],
+  ['/api/v3/orders/delivered', 10 * 60 * 1000],
+  ['/api/v3/orders/', 60 * 60 * 1000], // details of past orders don't change, see getOrderDetail
+  ['/api/v1/reusable-bags/user-info', 10 * 60 * 1000],
+  ['/api/v1/shopping-lists', 5 * 60 * 1000],
+  ['/api/v1/products/', 60 * 1000]
+];
+
+// Cached data made stale by a mutation of the given path prefix
+const INVALIDATIONS = [
+  ['/services/frontend-service/v2/cart', ['/services/frontend-service/v2/cart']],
+  ['/services/frontend-service/v1/timeslot-reservation', [
+    '/services/frontend-service/v1/timeslot-reservation',
+    '/services/frontend-service/timeslots-api/'
+  ]],
+  // Editing a placed order changes its details and the upcoming orders
+  ['/api/v3/orders/', ['/api/v3/orders/']]
+];
+
+function findByPrefix(table, url) {
+  const entry = table.find(([prefix]) => url.startsWith(prefix));
+  return entry ? entry[1] : null;
+}
+
+function normalizeText(text) {
+  return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+function mapSearchProduct(p, baseUrl) {
+  const image = p.images?.[0] || p.imgPath || null;
+  const tags = (Array.isArray(p.tags) ? p.tags : [])
+    .map(tag => (typeof tag === 'string' ? tag : tag?.name || tag?.slug))
+    .filter(Boolean);
+
+  return {
+    id: String(p.productId),
+    name: p.productName,
+    price: p.price.full,
+    currency: p.price.currency,
+    // Price per kg, litre or piece, as given by `unit`
+    pricePerUnit: p.pricePerUnit?.full ?? null,
+    unit: p.unit || null,
+    amount: p.textualAmount || null,
+    brand: p.brand,
+    // Image paths are relative on some sites
+    image: image && !/^https?:/.test(image) ? new URL(image, baseUrl).href : image,
+    inStock: p.inStock !== false,
+    tags,
+    bio: tags.some(tag => /\bbio\b|organic/i.test(tag)),
+    onSale: Array.isArray(p.sales) ? p.sales.length > 0 : Boolean(p.sale),
+    categoryId: p.mainCategoryId != null ? String(p.mainCategoryId) : null,
+    category: p.mainCategoryName || null
+  };
+}
+
+// filters: { bio, brand, category (ID or name), inStock, onSale }
+function matchesFilters(product, { bio, brand, category, inStock, onSale } = {}) {
+  if (bio && !product.bio) return false;
+  if (inStock && !product.inStock) return false;
+  if (onSale && !product.onSale) return false;
+  if (brand && !normalizeText(product.brand).includes(normalizeText(brand))) return false;
+  if (category && String(category) !== product.categoryId
+    && !normalizeText(product.category).includes(normalizeText(category))) return false;
+  return true;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
 class RohlikClient extends EventEmitter {
-  constructor({ username, password, country }) {
+  constructor({ username, password, country, baseUrl, logger, addressId }) {
     super();
     this.username = username;
     this.password = password;
-    this.baseUrl = COUNTRY_URLS[country?.toUpperCase()] || COUNTRY_URLS.CZ;
+    // baseUrl overrides the country site, e.g. to run against a local mock server
+    this.baseUrl = baseUrl || COUNTRY_URLS[country?.toUpperCase()] || COUNTRY_URLS.CZ;
+    this.companyId = COUNTRY_COMPANY_IDS[country?.toUpperCase()] || COUNTRY_COMPANY_IDS.CZ;
+    // Cart lines carry no currency, it follows from the country site
+    this.currency = (Localization.REGIONS[country?.toLowerCase()] || Localization.REGIONS.cz).currency;
+
+    // A plain function (e.g. Homey's this.log) is wrapped to log at info level
+    this.logger = logger instanceof Logger ? logger : new Logger({ log: logger, error: logger, prefix: '[RohlikClient]' });
 
-    this.sessionCookies = '';
+    this.cookieJar = new CookieJar();
     this.userId = null;
+    // Counts sessions, so a request can tell whether a login happened since it was sent
+    this.sessionCount = 0;
+    this.loginRequest = null;
     this.addressId = null;
+    // Address chosen by the user; the account's default address is used without it
+    this.preferredAddressId = addressId ? String(addressId) : null;
+    this.defaultAddressId = null;
     this.lastRequestTime = 0;
     this.minRequestInterval = 100; // ms
+    this.requestTimeout = 15000; // ms
+    this.maxRetries = 3;
+    this.retryBaseDelay = 500; // ms
+    this.maxRetryDelay = 8000; // ms
+    this.circuitBreaker = new CircuitBreaker();
+    this.cache = new RequestCache();
+  }
+
+  exportSession() {
+    return {
+      cookies: this.cookieJar.toJSON(),
+      userId: this.userId,
+      addressId: this.addressId,
+      defaultAddressId: this.defaultAddressId
+    };
+  }
+
+  // Restores a session saved with exportSession(). Returns false when it is unusable.
+  restoreSession(session) {
+    if (!session || !session.userId || !Array.isArray(session.cookies)) return false;
+
+    this.cookieJar = new CookieJar(session.cookies);
+    if (this.cookieJar.isEmpty()) return false;
+
+    this.sessionCount++;
+    this.userId = session.userId;
+    this.defaultAddressId = session.defaultAddressId || session.addressId || null;
+    this.addressId = this.preferredAddressId || this.defaultAddressId;
+    return true;
+  }
+
+  storeCookies(response) {
+    const setCookies = typeof response.headers.raw === 'function'
+      ? response.headers.raw()['set-cookie']
+      : CookieJar.splitSetCookieHeader(response.headers.get('set-cookie'));
+
+    if (this.cookieJar.setCookies(setCookies)) {
+      this.emit('session', this.exportSession());
+    }
   }
 
   async rateLimit() {
@@ -34,47 +200,108 @@ class RohlikClient extends EventEmitter {
     this.lastRequestTime = Date.now();
   }
 
-  async makeRequest(url, options = {}, isRetry = false) {
-    await this.rateLimit();
+  // Waits before retry `attempt` (0-based): exponential backoff with full jitter,
+  // or the server's Retry-After when it is longer
+  getRetryDelay(attempt, retryAfter = null) {
+    const backoff = Math.min(this.maxRetryDelay, this.retryBaseDelay * 2 ** attempt);
+    const delay = Math.random() * backoff;
+    return retryAfter !== null ? Math.max(delay, retryAfter * 1000) : delay;
+  }
+
+  // Sends a request, retrying 429, 5xx and network errors. 5xx and network errors
+  // are retried only for RETRYABLE_METHODS, since a POST may already have been
+  // applied; 429 is retried for any method, the server has certainly not processed it.
+  async fetchWithRetry(url, options) {
+    const method = (options.method || 'GET').toUpperCase();
+    const retryAll = RETRYABLE_METHODS.includes(method);
+
+    for (let attempt = 0; ; attempt++) {
+      await this.rateLimit();
+
+      const started = Date.now();
+      let response;
+      try {
+        response = await fetch(`${this.baseUrl}${url}`, { ...options, timeout: this.requestTimeout });
+        this.logger.request({ method, path: url, status: response.status, duration: Date.now() - started });
+      } catch (error) {
+        this.logger.request({ method, path: url, error: error.message, duration: Date.now() - started });
+        if (!retryAll || attempt >= this.maxRetries) {
+          throw new NetworkError(error.type === 'request-timeout' ? `Timeout after ${this.requestTimeout} ms` : error.message);
+        }
+        this.logger.warn(`${url} failed (${error.message}), retry ${attempt + 1}/${this.maxRetries}`);
+        await sleep(this.getRetryDelay(attempt));
+        continue;
+      }
+
+      const retryable = response.status === 429 || (retryAll && response.status >= 500);
+      if (!retryable || attempt >= this.maxRetries) return response;
+
+      this.logger.warn(`${url} returned HTTP ${response.status}, retry ${attempt + 1}/${this.maxRetries}`);
+      await sleep(this.getRetryDelay(attempt, parseRetryAfter(response.headers.get('retry-after'))));
+    }
+  }
+
+  // GETs of cacheable endpoints are shared and cached, mutations invalidate the data they change.
+  // `ttl` overrides the CACHE_TTL of the path.
+  async makeRequest(url, { ttl: cacheTtl, ...options } = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+
+    if (method === 'GET') {
+      const ttl = cacheTtl ?? findByPrefix(CACHE_TTL, url);
+      return ttl ? this.cache.get(url, ttl, () => this.sendRequest(url, options)) : this.sendRequest(url, options);
+    }
+
+    try {
+      return await this.sendRequest(url, options);
+    } finally {
+      // Also after a failure, the server may have applied the change anyway
+      const stale = findByPrefix(INVALIDATIONS, url);
+      if (stale) this.cache.invalidate(...stale);
+    }
+  }
+
+  clearCache() {
+    this.cache.clear();
+  }
 
+  async sendRequest(url, options = {}, isRetry = false) {
+    const endpoint = CircuitBreaker.endpointKey(url);
+    this.circuitBreaker.check(endpoint);
+
+    const session = this.sessionCount;
+    const cookieHeader = this.cookieJar.getCookieHeader();
     const headers = {
       'Content-Type': 'application/json',
       'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36',
-      ...(this.sessionCookies && { Cookie: this.sessionCookies }),
+      ...(cookieHeader && { Cookie: cookieHeader }),
       ...(options.headers || {})
     };
 
     try {
-      console.log(`[RohlikClient] Request: ${options.method || 'GET'} ${url}`);
-      const response = await fetch(`${this.baseUrl}${url}`, {
+      this.logger.debug(`Request: ${options.method || 'GET'} ${url}`);
+      const response = await this.fetchWithRetry(url, {
         ...options,
         headers
       });
 
-      // Update cookies if present
-      const setCookieHeader = response.headers.get('set-cookie');
-      if (setCookieHeader) {
-        // Simple append strategy or overwrite. For now, overwrite if we get a new set.
-        // In a more robust implementation, we might merge individual cookies.
-        this.sessionCookies = setCookieHeader;
-      }
+      this.storeCookies(response);
 
-      if (response.status === 401 || response.status === 403) {
-        if (!isRetry) {
-          console.log('[RohlikClient] Auth failed (401/403), attempting re-login...');
+      if ((response.status === 401 || response.status === 403) && !isRetry) {
+        // Requests rejected together share one login; one sent before the last login just retries
+        if (this.loginRequest || session === this.sessionCount) {
+          this.logger.info('Auth failed (401/403), attempting re-login...');
           await this.login();
-          return this.makeRequest(url, options, true);
-        } else {
-          throw new Error('Unauthorized after retry');
         }
+        return this.sendRequest(url, options, true);
       }
 
       if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        throw errorFromResponse(response, url);
       }
 
       const jsonData = await response.json();
-      console.log(`[RohlikClient] Response from ${url}:`, JSON.stringify(jsonData, null, 2));
+      this.logger.debug(`Response from ${url}:`, jsonData);
+      this.circuitBreaker.recordSuccess(endpoint);
 
       // Emit events for specific endpoints
       if (url.includes('/api/v1/reusable-bags/user-info')) {
@@ -87,25 +314,32 @@ class RohlikClient extends EventEmitter {
       return jsonData;
 
     } catch (error) {
-      console.log(`[RohlikClient] Request failed: ${url}`, error);
+      this.logger.error(`Request failed: ${url}`, error.message);
+      // Only failures that may pass count against the endpoint; a 404 or bad login won't
+      if (error.transient && !(error instanceof CircuitOpenError)) {
+        this.circuitBreaker.recordFailure(endpoint);
+      }
       throw error;
     }
   }
 
-  async login() {
+  // Concurrent callers share one login, separate logins would invalidate each other's session
+  login() {
+    if (!this.loginRequest) {
+      this.loginRequest = this.performLogin().finally(() => { this.loginRequest = null; });
+    }
+    return this.loginRequest;
+  }
+
+  async performLogin() {
     const loginData = {
       email: this.username,
       password: this.password,
     };
 
-    // Use specific endpoint or headers if needed so we don't loop infinitely in makeRequest
-    // But here we can use makeRequest if we handle the recursion carefully (isRetry flag only applies to regular calls).
-    // Actually, login shouldn't use makeRequest with checks, it should just go raw fetch or have special handling.
-    // But for simplicity, we mock a "raw" call here to avoid circular dependency on makeRequest's 401 handler.
-
-    await this.rateLimit();
+    // Login bypasses makeRequest so a rejected login can't loop through its 401 handler
 
-    const response = await fetch(`${this.baseUrl}/services/frontend-service/login`, {
+    const response = await this.fetchWithRetry('/services/frontend-service/login', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -114,50 +348,95 @@ class RohlikClient extends EventEmitter {
       body: JSON.stringify(loginData)
     });
 
-    const setCookieHeader = response.headers.get('set-cookie');
-    if (setCookieHeader) {
-      this.sessionCookies = setCookieHeader;
-    }
+    // Start from a clean jar so cookies of a previous session don't leak into the new one
+    this.cookieJar.clear();
+    this.cache.clear();
+    this.storeCookies(response);
 
-    const data = await response.json();
-    console.log(`[RohlikClient] Login response:`, JSON.stringify(data, null, 2));
+    const data = await response.json().catch(() => ({}));
+    this.logger.debug('Login response:', data);
 
     const isSuccess = response.status === 200 || response.status === 202;
     if (!isSuccess) {
+      if (response.status === 429 || response.status >= 500) {
+        throw errorFromResponse(response, '/services/frontend-service/login');
+      }
       const errorMsg = data.messages?.[0]?.content || data.message || 'Login failed';
-      throw new Error(`Login failed: ${errorMsg}`);
+      throw new AuthError(`Login failed: ${errorMsg}`, response.status);
     }
 
     this.userId = data.data?.user?.id;
-    this.addressId = data.data?.address?.id;
+    this.defaultAddressId = data.data?.address?.id || null;
+    this.addressId = this.preferredAddressId || this.defaultAddressId;
 
     if (!this.userId) {
-      throw new Error('Login succeeded but no User ID returned.');
+      throw new AuthError('Login succeeded but no User ID returned.', response.status);
     }
 
-    console.log(`[RohlikClient] Login successful. User ID: ${this.userId}`);
+    this.sessionCount++;
+    this.logger.info('Login successful');
+    this.emit('session', this.exportSession());
   }
 
-  async searchProducts(query, limit = 20) {
+  /**
+   * Searches products. `options` narrows the results ({ bio, brand, category,
+   * inStock, onSale }) and orders them (`sort`: relevance, price or price_per_unit,
+   * cheapest first). Both only see the SEARCH_POOL_SIZE most relevant products.
+   */
+  async searchProducts(query, limit = 20, { sort = 'relevance', ...filters } = {}) {
+    const filtered = Object.values(filters).some(Boolean);
+    // Filters apply to the results, so fetch more to still fill the limit
+    const fetchLimit = filtered || SEARCH_SORTS[sort] ? Math.max(limit, SEARCH_POOL_SIZE) : limit;
+
     const searchParams = new URLSearchParams({
       search: query,
       offset: '0',
-      limit: String(limit),
-      companyId: '1', // This might need to be dynamic for other countries? Usually 1 works for Rohlik/Knuspr structure often shared.
+      limit: String(fetchLimit),
+      companyId: String(this.companyId),
       filterData: JSON.stringify({ filters: [] }),
       canCorrect: 'true'
     });
 
     const response = await this.makeRequest(`/services/frontend-service/search-metadata?${searchParams}`);
-    let products = response.data?.productList || [];
+    const products = (response.data?.productList || [])
+      .map(p => mapSearchProduct(p, this.baseUrl))
+      .filter(p => matchesFilters(p, filters));
+
+    if (SEARCH_SORTS[sort]) products.sort(SEARCH_SORTS[sort]);
+
+    return products.slice(0, limit);
+  }
+
+  async getProductPrices(productIds) {
+    if (!productIds || productIds.length === 0) return [];
+
+    const searchParams = new URLSearchParams();
+    for (const id of productIds) searchParams.append('products', String(id));
+
+    const response = await this.makeRequest(`/api/v1/products/prices?${searchParams}`);
+    const prices = response.data || response;
+    if (!Array.isArray(prices)) return [];
+
+    return prices.map(p => ({
+      id: String(p.productId),
+      price: Number(p.price?.amount ?? p.price?.full),
+      currency: p.price?.currency || null
+    })).filter(p => !isNaN(p.price));
+  }
+
+  async getProductAvailability(productIds) {
+    if (!productIds || productIds.length === 0) return [];
+
+    const searchParams = new URLSearchParams();
+    for (const id of productIds) searchParams.append('products', String(id));
+
+    const response = await this.makeRequest(`/api/v1/products/stocks?${searchParams}`);
+    const stocks = response.data || response;
+    if (!Array.isArray(stocks)) return [];
 
-    return products.slice(0, limit).map(p => ({
+    return stocks.map(p => ({
       id: String(p.productId),
-      name: p.productName,
-      price: p.price.full,
-      currency: p.price.currency,
-      brand: p.brand,
-      image: p.images?.[0] // Assuming structure
+      inStock: typeof p.inStock === 'boolean' ? p.inStock : (p.availabilityStatus === 'AVAILABLE')
     }));
   }
 
@@ -168,10 +447,22 @@ class RohlikClient extends EventEmitter {
       source: 'true:Homey'
     };
 
-    await this.makeRequest('/services/frontend-service/v2/cart', {
-      method: 'POST',
-      body: JSON.stringify(payload)
-    });
+    try {
+      await this.makeRequest('/services/frontend-service/v2/cart', {
+        method: 'POST',
+        body: JSON.stringify(payload)
+      });
+    } catch (error) {
+      // Only a rejected item may be sold out; auth, network and server failures stay as they are
+      if (!(error instanceof ServerError) || error.transient) throw error;
+
+      // The cart endpoint gives no reason, so check stock to tell sold-out products apart
+      const [availability] = await this.getProductAvailability([productId]).catch(() => []);
+      if (availability && !availability.inStock) {
+        throw new OutOfStockError(productId);
+      }
+      throw error;
+    }
     return true;
   }
 
@@ -183,24 +474,45 @@ class RohlikClient extends EventEmitter {
     return true;
   }
 
+  async setCartItemQuantity(orderFieldId, quantity) {
+    // A cart line can't hold zero pieces, so dropping to zero removes it.
+    if (quantity <= 0) {
+      return this.removeFromCart(orderFieldId);
+    }
+
+    await this.makeRequest('/services/frontend-service/v2/cart', {
+      method: 'PUT',
+      body: JSON.stringify({
+        orderFieldId: parseInt(orderFieldId, 10),
+        quantity: quantity
+      })
+    });
+    return true;
+  }
+
 
 
   async getCartContent() {
     const response = await this.makeRequest('/services/frontend-service/v2/cart');
     const data = response.data || {};
 
+    const currency = data.currency || this.currency;
+
+    // price is the line total; pricePerUnit is passed on as the cart reports it
     const items = Object.values(data.items || {}).map(item => ({
       id: String(item.productId),
       cart_item_id: String(item.orderFieldId), // Needed for removal
       name: item.productName,
       quantity: item.quantity,
       price: item.price,
-      pricePerUnit: item.pricePerUnit
+      pricePerUnit: item.pricePerUnit,
+      currency: item.currency || currency
     }));
 
     return {
       totalPrice: data.totalPrice || 0,
       totalItems: items.length, // or sum of quantities? User asked for count. Usually count of "lines".
+      currency,
       items
     };
   }
@@ -210,16 +522,120 @@ class RohlikClient extends EventEmitter {
     return response.data || [];
   }
 
-  async getDeliverySlots() {
-    if (!this.userId || !this.addressId) return null;
-    const url = `/services/frontend-service/timeslots-api/0?userId=${this.userId}&addressId=${this.addressId}&reasonableDeliveryTime=true`;
+  // Switches the address used for slots and reservations. Empty falls back to the account default.
+  setAddressId(addressId) {
+    this.preferredAddressId = addressId ? String(addressId) : null;
+    this.addressId = this.preferredAddressId || this.defaultAddressId;
+  }
+
+  async getAddresses() {
+    const response = await this.makeRequest('/services/frontend-service/v1/delivery-addresses');
+    const addresses = response.data || response;
+    if (!Array.isArray(addresses)) return [];
+
+    return addresses.map(address => {
+      const street = [address.street, address.houseNumber].filter(Boolean).join(' ');
+      return {
+        id: String(address.id),
+        name: [street, address.city].filter(Boolean).join(', ') || `#${address.id}`,
+        isDefault: Boolean(address.default || address.isDefault) || String(address.id) === String(this.defaultAddressId)
+      };
+    });
+  }
+
+  async getDeliverySlots(addressId = this.addressId) {
+    if (!this.userId || !addressId) return null;
+    const url = `/services/frontend-service/timeslots-api/0?userId=${this.userId}&addressId=${addressId}&reasonableDeliveryTime=true`;
     const response = await this.makeRequest(url);
     return response.data;
   }
 
+  // Flattens the timeslots-api response into a list of individual slots.
+  static parseDeliverySlots(data) {
+    const days = Array.isArray(data?.availabilityDays) ? data.availabilityDays : [];
+    const slots = [];
+
+    for (const day of days) {
+      const daySlots = Array.isArray(day.slots) ? day.slots : Object.values(day.slots || {}).flat();
+
+      for (const slot of daySlots) {
+        if (!slot || !slot.since) continue;
+        const capacity = slot.timeSlotCapacityDTO || {};
+
+        slots.push({
+          id: String(slot.slotId || slot.id || slot.since),
+          type: slot.type || null,
+          start: slot.since,
+          end: slot.till,
+          price: typeof slot.price === 'number' ? slot.price : (slot.price?.full ?? 0),
+          capacity: capacity.totalFreeCapacityPercent ?? 0,
+          capacityMessage: capacity.capacityMessage || '',
+          available: (capacity.totalFreeCapacityPercent ?? 0) > 0
+        });
+      }
+    }
+
+    return slots;
+  }
+
+  async getTimeslotReservation() {
+    const response = await this.makeRequest('/services/frontend-service/v1/timeslot-reservation');
+    const data = response.data || response;
+    const detail = data?.reservationDetail || data;
+
+    if (!data || data.active === false || !detail?.slotId) return null;
+
+    return {
+      slotId: String(detail.slotId),
+      type: detail.slotType || null,
+      start: detail.since || detail.start,
+      end: detail.till || detail.end,
+      expiresAt: detail.expiration || detail.reservationExpiration || null
+    };
+  }
+
+  async reserveTimeslot(slotId, slotType) {
+    await this.makeRequest('/services/frontend-service/v1/timeslot-reservation', {
+      method: 'POST',
+      body: JSON.stringify({
+        slotId: parseInt(slotId, 10),
+        slotType: slotType || 'ON_TIME'
+      })
+    });
+    return this.getTimeslotReservation();
+  }
+
+  async extendTimeslotReservation() {
+    await this.makeRequest('/services/frontend-service/v1/timeslot-reservation/extend', {
+      method: 'POST'
+    });
+    return this.getTimeslotReservation();
+  }
+
+  async cancelTimeslotReservation() {
+    await this.makeRequest('/services/frontend-service/v1/timeslot-reservation', {
+      method: 'DELETE'
+    });
+    return true;
+  }
+
   async logout() {
     await this.makeRequest('/services/frontend-service/logout', { method: 'POST' });
-    this.sessionCookies = '';
+    this.cookieJar.clear();
+    this.cache.clear();
+    this.emit('session', null);
+  }
+
+  async getShoppingLists() {
+    const response = await this.makeRequest('/api/v1/shopping-lists');
+    const lists = response.data || response;
+    if (!Array.isArray(lists)) return [];
+
+    return lists.map(list => ({
+      id: String(list.id),
+      name: list.name || 'Unknown List',
+      productCount: Array.isArray(list.products) ? list.products.length : (list.productsCount || 0)
+    }));
   }
 
   async getShoppingList(shoppingListId) {
@@ -251,7 +667,7 @@ class RohlikClient extends EventEmitter {
         const response = await this.makeRequest(path);
         result[endpoint] = response.data || response;
       } catch (error) {
-        console.log(`[RohlikClient] Error fetching ${endpoint}: ${error.message}`);
+        this.logger.warn(`Error fetching ${endpoint}: ${error.message}`);
         result[endpoint] = null;
       }
     }
@@ -277,11 +693,28 @@ class RohlikClient extends EventEmitter {
     return result;
   }
 
-  async getOrderHistory(limit = 50) {
-    const response = await this.makeRequest(`/api/v3/orders/delivered?offset=0&limit=${limit}`);
+  async getOrderHistory(limit = 50, offset = 0) {
+    const response = await this.makeRequest(`/api/v3/orders/delivered?offset=${offset}&limit=${limit}`);
     return response.data || response;
   }
 
+  // Pages through delivered orders (newest first) until the given date is reached.
+  async getOrderHistorySince(since, pageSize = 50, maxPages = 20) {
+    const orders = [];
+
+    for (let page = 0; page < maxPages; page++) {
+      const batch = await this.getOrderHistory(pageSize, page * pageSize);
+      if (!Array.isArray(batch) || batch.length === 0) break;
+
+      orders.push(...batch);
+
+      const oldest = batch[batch.length - 1];
+      if (batch.length < pageSize || (oldest.orderTime && new Date(oldest.orderTime) < since)) break;
+    }
+
+    return orders.filter(order => !order.orderTime || new Date(order.orderTime) >= since);
+  }
+
   async getDeliveryInfo() {
     const response = await this.makeRequest('/services/frontend-service/first-delivery?reasonableDeliveryTime=true');
     return response.data || response;
@@ -302,11 +735,42 @@ class RohlikClient extends EventEmitter {
     return response.data || response;
   }
 
-  async getOrderDetail(orderId) {
-    const response = await this.makeRequest(`/api/v3/orders/${orderId}`);
+  // Pass `upcoming` for orders that can still change, they aren't kept as long as past ones
+  async getOrderDetail(orderId, { upcoming = false } = {}) {
+    const response = await this.makeRequest(`/api/v3/orders/${orderId}`, upcoming ? { ttl: UPCOMING_ORDER_TTL } : {});
     return response.data || response;
   }
 
+  async getOrderItems(orderId, options) {
+    const order = await this.getOrderDetail(orderId, options);
+    const items = Array.isArray(order?.items) ? order.items : [];
+
+    return items.map(item => ({
+      id: String(item.productId || item.id),
+      name: item.name || item.productName,
+      quantity: item.amount || item.quantity || 1
+    }));
+  }
+
+  // Placed orders can be changed until their edit deadline; the server rejects later changes
+  async addToOrder(orderId, productId, quantity = 1) {
+    await this.makeRequest(`/api/v3/orders/${orderId}/items`, {
+      method: 'POST',
+      body: JSON.stringify({
+        productId: parseInt(productId, 10),
+        quantity: quantity
+      })
+    });
+    return true;
+  }
+
+  async removeFromOrder(orderId, productId) {
+    await this.makeRequest(`/api/v3/orders/${orderId}/items/${productId}`, {
+      method: 'DELETE'
+    });
+    return true;
+  }
+
   async getDeliveryAnnouncements() {
     const response = await this.makeRequest('/services/frontend-service/announcements/delivery');
     return response.data || response;
@@ -315,4 +779,7 @@ class RohlikClient extends EventEmitter {
 }
 
 
+RohlikClient.COUNTRY_URLS = COUNTRY_URLS;
+RohlikClient.COUNTRY_COMPANY_IDS = COUNTRY_COMPANY_IDS;
+
 module.exports = RohlikClient;
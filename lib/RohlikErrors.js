@@ -0,0 +1,104 @@
+// Typed errors raised by RohlikClient. `type` is exposed to Flows as the
+// error-type token; `transient` marks failures that are expected to pass.
+
+class RohlikError extends Error {
+  constructor(message, { type = 'unknown', status = null, transient = false } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.type = type;
+    this.code = type.toUpperCase();
+    this.status = status;
+    this.transient = transient;
+  }
+}
+
+class AuthError extends RohlikError {
+  constructor(message = 'Authentication failed', status = 401) {
+    super(message, { type: 'auth', status });
+  }
+}
+
+class RateLimitError extends RohlikError {
+  constructor(retryAfter = null) {
+    super(retryAfter ? `Rate limited, retry after ${retryAfter} s` : 'Rate limited', { type: 'rate_limited', status: 429, transient: true });
+    this.retryAfter = retryAfter;
+  }
+}
+
+class NotFoundError extends RohlikError {
+  constructor(url) {
+    super(`Not found: ${url}`, { type: 'not_found', status: 404 });
+  }
+}
+
+class OutOfStockError extends RohlikError {
+  constructor(productId) {
+    super(`Product ${productId} is out of stock`, { type: 'out_of_stock' });
+    this.productId = String(productId);
+  }
+}
+
+class MaintenanceError extends RohlikError {
+  constructor(status = 503) {
+    super('Rohlik is temporarily unavailable (maintenance)', { type: 'maintenance', status, transient: true });
+  }
+}
+
+class ServerError extends RohlikError {
+  constructor(status, statusText) {
+    super(`HTTP ${status}: ${statusText}`, { type: 'server', status, transient: status >= 500 });
+  }
+}
+
+class NetworkError extends RohlikError {
+  constructor(message) {
+    super(`Network error: ${message}`, { type: 'network', transient: true });
+  }
+}
+
+class CircuitOpenError extends RohlikError {
+  constructor(endpoint, retryAt) {
+    super(`Skipped ${endpoint} after repeated failures, retrying after ${new Date(retryAt).toISOString()}`, { type: 'unavailable', transient: true });
+    this.endpoint = endpoint;
+    this.retryAt = retryAt;
+  }
+}
+
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds);
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+function errorFromResponse(response, url) {
+  switch (response.status) {
+    case 401:
+    case 403:
+      return new AuthError('Unauthorized after retry', response.status);
+    case 404:
+      return new NotFoundError(url);
+    case 429:
+      return new RateLimitError(parseRetryAfter(response.headers.get('retry-after')));
+    case 503:
+      return new MaintenanceError(response.status);
+    default:
+      return new ServerError(response.status, response.statusText);
+  }
+}
+
+module.exports = {
+  RohlikError,
+  AuthError,
+  RateLimitError,
+  NotFoundError,
+  OutOfStockError,
+  MaintenanceError,
+  ServerError,
+  NetworkError,
+  CircuitOpenError,
+  parseRetryAfter,
+  errorFromResponse
+};
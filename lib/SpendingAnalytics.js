@@ -0,0 +1,54 @@
+// Date strings are local 'YYYY-MM-DD' values, which compare correctly as text.
+
+function addDays(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  const shifted = new Date(Date.UTC(year, month - 1, day + days));
+  return shifted.toISOString().slice(0, 10);
+}
+
+function getPeriodStart(today, period) {
+  switch (period) {
+    case 'week': {
+      const [year, month, day] = today.split('-').map(Number);
+      // getUTCDay: 0 = Sunday, weeks start on Monday
+      const weekday = (new Date(Date.UTC(year, month - 1, day)).getUTCDay() + 6) % 7;
+      return addDays(today, -weekday);
+    }
+    case 'month':
+      return `${today.slice(0, 7)}-01`;
+    case '30_days':
+      return addDays(today, -29);
+    default:
+      throw new Error(`Unknown period: ${period}`);
+  }
+}
+
+function normalizeOrder(order) {
+  const total = order.priceComposition?.total || {};
+  return {
+    id: String(order.id),
+    time: order.orderTime || null,
+    total: Number(total.amount) || 0,
+    currency: total.currency || null
+  };
+}
+
+// orders: [{ localDate, total, currency }], from/to inclusive
+function summarizeSpending(orders, from, to) {
+  const matching = orders.filter(o => o.localDate && o.localDate >= from && o.localDate <= to);
+  const total = matching.reduce((sum, o) => sum + o.total, 0);
+
+  return {
+    total: Math.round(total * 100) / 100,
+    count: matching.length,
+    average: matching.length > 0 ? Math.round((total / matching.length) * 100) / 100 : 0,
+    currency: matching.find(o => o.currency)?.currency || null
+  };
+}
+
+module.exports = {
+  addDays,
+  getPeriodStart,
+  normalizeOrder,
+  summarizeSpending
+};
@@ -0,0 +1,53 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { toCartLines, toCsv, diffCart } = require('../lib/CartSnapshot');
+
+const cart = {
+  totalPrice: 112.8,
+  currency: 'CZK',
+  items: [
+    { id: '1294559', cart_item_id: '98765001', name: 'Mléko polotučné 1,5% 1 l', quantity: 2, price: 51.8, pricePerUnit: 25.9, currency: 'CZK' },
+    { id: '1348751', cart_item_id: '98765002', name: 'Chléb "kváskový" 500 g', quantity: 1, price: 61 }
+  ]
+};
+
+describe('toCartLines', () => {
+  it('keeps unit and line price apart and fills in the currency', () => {
+    assert.deepEqual(toCartLines(cart), [
+      { product_id: '1294559', name: 'Mléko polotučné 1,5% 1 l', quantity: 2, unit_price: 25.9, price: 51.8, currency: 'CZK' },
+      { product_id: '1348751', name: 'Chléb "kváskový" 500 g', quantity: 1, unit_price: 61, price: 61, currency: 'CZK' }
+    ]);
+  });
+
+  it('returns no lines for an empty cart', () => {
+    assert.deepEqual(toCartLines({ items: [] }), []);
+    assert.deepEqual(toCartLines(null), []);
+  });
+});
+
+describe('toCsv', () => {
+  it('writes a header and quotes fields with commas and quotes', () => {
+    assert.equal(toCsv(toCartLines(cart)), [
+      'product_id,name,quantity,unit_price,price,currency',
+      '1294559,"Mléko polotučné 1,5% 1 l",2,25.9,51.8,CZK',
+      '1348751,"Chléb ""kváskový"" 500 g",1,61,61,CZK'
+    ].join('\n'));
+  });
+});
+
+describe('diffCart', () => {
+  const line = (id, quantity) => ({ product_id: id, name: `Product ${id}`, quantity, unit_price: 10, price: 10 * quantity, currency: 'CZK' });
+
+  it('finds added, removed and changed lines', () => {
+    const diff = diffCart([line('1', 1), line('2', 1)], [line('1', 3), line('3', 2)]);
+
+    assert.deepEqual(diff.added, [line('3', 2)]);
+    assert.deepEqual(diff.removed, [line('2', 1)]);
+    assert.deepEqual(diff.changed, [{ ...line('1', 3), previous_quantity: 1 }]);
+  });
+
+  it('reports nothing for an unchanged cart', () => {
+    assert.deepEqual(diffCart([line('1', 1)], [line('1', 1)]), { added: [], removed: [], changed: [] });
+  });
+});
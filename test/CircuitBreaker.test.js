@@ -0,0 +1,44 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const CircuitBreaker = require('../lib/CircuitBreaker');
+const { CircuitOpenError } = require('../lib/RohlikErrors');
+
+describe('CircuitBreaker', () => {
+  it('groups URLs by path without query or numeric IDs', () => {
+    assert.equal(CircuitBreaker.endpointKey('/api/v3/orders/delivered?offset=0&limit=50'), '/api/v3/orders/delivered');
+    assert.equal(CircuitBreaker.endpointKey('/api/v3/orders/31336001'), '/api/v3/orders/:id');
+    assert.equal(CircuitBreaker.endpointKey('/services/frontend-service/timeslots-api/0?userId=1'), '/services/frontend-service/timeslots-api/:id');
+  });
+
+  it('opens after the threshold of consecutive failures', () => {
+    const breaker = new CircuitBreaker({ threshold: 2, cooldown: 1000 });
+
+    breaker.recordFailure('/cart', 0);
+    assert.doesNotThrow(() => breaker.check('/cart', 0));
+
+    breaker.recordFailure('/cart', 0);
+    assert.throws(() => breaker.check('/cart', 500), CircuitOpenError);
+    assert.doesNotThrow(() => breaker.check('/orders', 500));
+  });
+
+  it('lets a request through after the cooldown and reopens if it fails', () => {
+    const breaker = new CircuitBreaker({ threshold: 2, cooldown: 1000 });
+    breaker.recordFailure('/cart', 0);
+    breaker.recordFailure('/cart', 0);
+
+    assert.doesNotThrow(() => breaker.check('/cart', 1000));
+
+    breaker.recordFailure('/cart', 1000);
+    assert.throws(() => breaker.check('/cart', 1500), CircuitOpenError);
+  });
+
+  it('closes on success', () => {
+    const breaker = new CircuitBreaker({ threshold: 2, cooldown: 1000 });
+    breaker.recordFailure('/cart', 0);
+    breaker.recordSuccess('/cart');
+    breaker.recordFailure('/cart', 0);
+
+    assert.doesNotThrow(() => breaker.check('/cart', 0));
+  });
+});
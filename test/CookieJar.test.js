@@ -0,0 +1,49 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const CookieJar = require('../lib/CookieJar');
+
+describe('CookieJar', () => {
+  it('splits a combined header without breaking Expires dates', () => {
+    const header = 'a=1; Path=/, b=2; Expires=Wed, 21 Oct 2099 07:28:00 GMT; HttpOnly, c=3';
+    assert.deepEqual(CookieJar.splitSetCookieHeader(header), [
+      'a=1; Path=/',
+      'b=2; Expires=Wed, 21 Oct 2099 07:28:00 GMT; HttpOnly',
+      'c=3'
+    ]);
+  });
+
+  it('sends only name=value pairs', () => {
+    const jar = new CookieJar();
+    jar.setCookies(['PHPSESSIONID=abc; Path=/; HttpOnly; Secure', 'lang=cs; Path=/']);
+
+    assert.equal(jar.getCookieHeader(), 'PHPSESSIONID=abc; lang=cs');
+  });
+
+  it('merges new cookies into existing ones', () => {
+    const jar = new CookieJar();
+    jar.setCookies(['a=1', 'b=2']);
+
+    assert.equal(jar.setCookies(['b=3']), true);
+    assert.equal(jar.setCookies(['b=3']), false);
+    assert.equal(jar.getCookieHeader(), 'a=1; b=3');
+  });
+
+  it('drops deleted and expired cookies', () => {
+    const now = Date.now();
+    const jar = new CookieJar();
+    jar.setCookies(['a=1', 'b=2; Max-Age=60', 'c=3'], now);
+
+    jar.setCookies(['a=; Max-Age=0', 'c=3; Expires=Thu, 01 Jan 1970 00:00:00 GMT'], now);
+    assert.equal(jar.getCookieHeader(now), 'b=2');
+    assert.equal(jar.getCookieHeader(now + 61 * 1000), '');
+  });
+
+  it('survives a round trip through JSON', () => {
+    const jar = new CookieJar();
+    jar.setCookies(['a=1; Max-Age=3600']);
+
+    const restored = new CookieJar(JSON.parse(JSON.stringify(jar)));
+    assert.equal(restored.getCookieHeader(), 'a=1');
+  });
+});
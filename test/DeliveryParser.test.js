@@ -0,0 +1,202 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseEta, parseDeliveryAnnouncements, parseDeliveryState, parseUpcomingOrder, parseSlotSummary } = require('../lib/DeliveryParser');
+const announcementsFixture = require('./fixtures/announcements-delivery.json');
+const upcomingFixture = require('./fixtures/orders-upcoming.json');
+const timeslotsFixture = require('./fixtures/timeslots.json');
+
+describe('parseEta', () => {
+  it('reads the minutes from the highlighted span', () => {
+    assert.equal(parseEta('Kurýr dorazí za <span class="highlight">12</span> minut'), 12);
+    assert.equal(parseEta('Ankunft in <span>5</span> Minuten'), 5);
+  });
+
+  it('returns 0 without a number in a span', () => {
+    assert.equal(parseEta('Kurýr je na cestě'), 0);
+    assert.equal(parseEta('<span>brzy</span>'), 0);
+    assert.equal(parseEta(undefined), 0);
+  });
+});
+
+describe('parseDeliveryAnnouncements', () => {
+  it('detects a delivery on the way with its ETA', () => {
+    assert.deepEqual(parseDeliveryAnnouncements(announcementsFixture.data), { state: 'delivery', eta: 12 });
+  });
+
+  it('detects bags being prepared', () => {
+    const data = { announcements: [{ icon: 'iconProducts', content: 'Balíme' }] };
+    assert.deepEqual(parseDeliveryAnnouncements(data), { state: 'preparing_bags', eta: 0 });
+  });
+
+  it('only looks at the first announcement', () => {
+    const data = { announcements: [{ icon: 'iconInfo' }, { icon: 'iconDeliveryCar', content: '<span>3</span>' }] };
+    assert.deepEqual(parseDeliveryAnnouncements(data), { state: 'no_upcoming_order', eta: 0 });
+  });
+
+  it('falls back to no upcoming order', () => {
+    assert.deepEqual(parseDeliveryAnnouncements({ announcements: [] }), { state: 'no_upcoming_order', eta: 0 });
+    assert.deepEqual(parseDeliveryAnnouncements(null), { state: 'no_upcoming_order', eta: 0 });
+  });
+});
+
+describe('parseUpcomingOrder', () => {
+  it('flags locked orders as not editable', () => {
+    const order = { id: 1, deliveryTime: '2024-05-10T16:00:00+02:00', editDeadline: '2024-05-10T13:00:00+02:00' };
+
+    assert.equal(parseUpcomingOrder(order).editable, true);
+    assert.deepEqual(
+      (({ editable, editableUntil }) => ({ editable, editableUntil }))(parseUpcomingOrder({ ...order, editable: false })),
+      { editable: false, editableUntil: null }
+    );
+  });
+});
+
+describe('parseDeliveryState', () => {
+  const now = new Date('2024-05-10T12:00:00+02:00');
+  const noAnnouncements = { announcements: [] };
+
+  it('reports no upcoming order', () => {
+    const result = parseDeliveryState({ upcomingOrders: [], announcements: noAnnouncements, now });
+
+    assert.equal(result.state, 'no_upcoming_order');
+    assert.equal(result.windowStart, null);
+    assert.equal(result.minutesUntilWindow, null);
+  });
+
+  it('reads the delivery window of the upcoming order', () => {
+    const result = parseDeliveryState({ upcomingOrders: upcomingFixture.data, announcements: noAnnouncements, now });
+
+    assert.equal(result.state, 'order_placed');
+    assert.equal(result.orderId, '31337001');
+    assert.equal(result.windowStart.toISOString(), '2024-05-10T14:00:00.000Z');
+    assert.equal(result.minutesUntilWindow, 240);
+  });
+
+  it('prefers the slot window over the delivery time', () => {
+    const order = {
+      id: 1,
+      deliveryTime: '2024-05-10T16:00:00+02:00',
+      deliverySlot: { since: '2024-05-10T17:00:00+02:00', till: '2024-05-10T18:00:00+02:00' }
+    };
+    const result = parseDeliveryState({ upcomingOrders: [order], announcements: noAnnouncements, now });
+
+    assert.equal(result.windowStart.toISOString(), '2024-05-10T15:00:00.000Z');
+    assert.equal(result.windowEnd.toISOString(), '2024-05-10T16:00:00.000Z');
+  });
+
+  it('reports an order as editable until its cutoff', () => {
+    const order = { id: 1, deliveryTime: '2024-05-10T16:00:00+02:00', editDeadline: '2024-05-10T13:00:00+02:00' };
+
+    assert.equal(parseDeliveryState({ upcomingOrders: [order], announcements: noAnnouncements, now }).state, 'editable');
+    assert.equal(parseDeliveryState({
+      upcomingOrders: [order],
+      announcements: noAnnouncements,
+      now: new Date('2024-05-10T13:30:00+02:00')
+    }).state, 'order_placed');
+  });
+
+  it('reports cancelled orders unless another order is active', () => {
+    const cancelled = { id: 1, deliveryTime: '2024-05-10T16:00:00+02:00', state: 'CANCELLED' };
+    const active = { id: 2, deliveryTime: '2024-05-11T16:00:00+02:00' };
+
+    assert.equal(parseDeliveryState({ upcomingOrders: [cancelled], announcements: noAnnouncements, now }).state, 'cancelled');
+
+    const result = parseDeliveryState({ upcomingOrders: [cancelled, active], announcements: noAnnouncements, now });
+    assert.equal(result.state, 'order_placed');
+    assert.equal(result.orderId, '2');
+  });
+
+  it('uses announcements for picking and courier states', () => {
+    const picking = { announcements: [{ icon: 'iconProducts' }] };
+    const arriving = { announcements: [{ icon: 'iconDeliveryCar', content: '<span>4</span> min' }] };
+
+    assert.equal(parseDeliveryState({ upcomingOrders: upcomingFixture.data, announcements: picking, now }).state, 'preparing_bags');
+    assert.deepEqual(
+      (({ state, eta }) => ({ state, eta }))(parseDeliveryState({ upcomingOrders: upcomingFixture.data, announcements: announcementsFixture.data, now })),
+      { state: 'delivery', eta: 12 }
+    );
+    assert.equal(parseDeliveryState({ upcomingOrders: upcomingFixture.data, announcements: arriving, now }).state, 'arriving');
+  });
+
+  it('reports delivered once the courier announcement is gone, for a while', () => {
+    const delivered = parseDeliveryState({ upcomingOrders: [], announcements: noAnnouncements, previousState: 'arriving', now });
+    assert.equal(delivered.state, 'delivered');
+    assert.equal(delivered.deliveredAt, now);
+
+    const later = new Date(now.getTime() + 60 * 60 * 1000);
+    assert.equal(parseDeliveryState({ upcomingOrders: [], announcements: noAnnouncements, previousState: 'delivered', deliveredAt: now.toISOString(), now: later }).state, 'delivered');
+
+    const muchLater = new Date(now.getTime() + 3 * 60 * 60 * 1000);
+    assert.equal(parseDeliveryState({ upcomingOrders: [], announcements: noAnnouncements, previousState: 'delivered', deliveredAt: now.toISOString(), now: muchLater }).state, 'no_upcoming_order');
+  });
+
+  it('keeps the courier state while the order is still upcoming', () => {
+    const result = parseDeliveryState({
+      upcomingOrders: upcomingFixture.data,
+      announcements: noAnnouncements,
+      previousState: 'delivery',
+      previousOrderId: '31337001',
+      now
+    });
+
+    assert.equal(result.state, 'delivery');
+    assert.equal(result.deliveredAt, null);
+  });
+
+  it('reports delivered when the delivered order leaves the list before the next one', () => {
+    const next = { ...upcomingFixture.data[0], id: 31337002 };
+    const result = parseDeliveryState({
+      upcomingOrders: [next],
+      announcements: noAnnouncements,
+      previousState: 'arriving',
+      previousOrderId: '31337001',
+      now
+    });
+
+    assert.equal(result.state, 'delivered');
+    assert.equal(result.orderId, '31337002');
+  });
+
+  it('lets a new order end the delivered state early', () => {
+    const later = new Date(now.getTime() + 30 * 60 * 1000);
+    const result = parseDeliveryState({
+      upcomingOrders: upcomingFixture.data,
+      announcements: noAnnouncements,
+      previousState: 'delivered',
+      previousOrderId: null,
+      deliveredAt: now.toISOString(),
+      now: later
+    });
+
+    assert.equal(result.state, 'order_placed');
+    assert.equal(result.deliveredAt, null);
+  });
+});
+
+describe('parseSlotSummary', () => {
+  it('reads express capacity and strips parentheses from slot subtitles', () => {
+    assert.deepEqual(parseSlotSummary(timeslotsFixture.data), {
+      express: { available: true, message: 'Do 60 minut' },
+      common: 'Dnes 16:00–17:00',
+      eco: 'Zítra 8:00–9:00'
+    });
+  });
+
+  it('marks a full express slot as unavailable', () => {
+    const data = { expressSlot: { timeSlotCapacityDTO: { totalFreeCapacityPercent: 0, capacityMessage: 'Plno' } } };
+    assert.deepEqual(parseSlotSummary(data).express, { available: false, message: 'Plno' });
+  });
+
+  it('distinguishes a missing express slot from one without capacity', () => {
+    assert.equal(parseSlotSummary({}).express, null);
+    assert.equal(parseSlotSummary({ expressSlot: {} }).express, undefined);
+  });
+
+  it('returns null for missing preselected slots', () => {
+    const summary = parseSlotSummary({ preselectedSlots: [{ type: 'FIRST' }] });
+    assert.equal(summary.common, null);
+    assert.equal(summary.eco, null);
+    assert.equal(parseSlotSummary(null).common, null);
+  });
+});
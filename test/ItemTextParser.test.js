@@ -0,0 +1,72 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseItemText, similarity, pickProduct } = require('../lib/ItemTextParser');
+
+describe('parseItemText', () => {
+  it('splits a spoken list with quantities', () => {
+    assert.deepEqual(parseItemText('2x milk, bread and 10 eggs'), [
+      { query: 'milk', quantity: 2 },
+      { query: 'bread', quantity: 1 },
+      { query: 'eggs', quantity: 10 }
+    ]);
+  });
+
+  it('understands units, trailing quantities and the conjunctions of the account language', () => {
+    assert.deepEqual(parseItemText('3 ks rohlík a jogurt; mléko x2', 'cs'), [
+      { query: 'rohlík', quantity: 3 },
+      { query: 'jogurt', quantity: 1 },
+      { query: 'mléko', quantity: 2 }
+    ]);
+  });
+
+  it('keeps decimal commas and sizes inside a product name', () => {
+    assert.deepEqual(parseItemText('Mléko 1,5%, 500g flour.'), [
+      { query: 'Mléko 1,5%', quantity: 1 },
+      { query: '500g flour', quantity: 1 }
+    ]);
+  });
+
+  it('returns nothing for empty text', () => {
+    assert.deepEqual(parseItemText(' , '), []);
+    assert.deepEqual(parseItemText(undefined), []);
+  });
+});
+
+describe('similarity', () => {
+  it('tolerates diacritics, plurals and small spelling differences', () => {
+    assert.equal(similarity('mleko', 'Mléko polotučné 1,5% 1 l'), 1);
+    assert.equal(similarity('egg', 'Eggs free range'), 1);
+    assert.ok(similarity('yoghurt', 'Jogurt bílý') > 0.5);
+  });
+
+  it('is low for unrelated products', () => {
+    assert.ok(similarity('bananas', 'Toaletní papír') < 0.5);
+  });
+});
+
+describe('pickProduct', () => {
+  const products = [
+    { id: '1', name: 'Mléko polotučné 1 l', brand: 'Kunín', inStock: true },
+    { id: '2', name: 'Mléko polotučné 1 l', brand: 'Madeta', inStock: true },
+    { id: '3', name: 'Mléko plnotučné 1 l', brand: 'Olma', inStock: false }
+  ];
+
+  it('takes the first close match without preferences', () => {
+    assert.equal(pickProduct('mleko', products).id, '1');
+  });
+
+  it('prefers the preferred brand and products bought before', () => {
+    assert.equal(pickProduct('mleko', products, { preferredBrand: 'madeta' }).id, '2');
+    assert.equal(pickProduct('mleko', products, { purchaseCounts: new Map([['2', 3]]) }).id, '2');
+  });
+
+  it('ranks sold-out products below available ones', () => {
+    assert.equal(pickProduct('mleko', products, { purchaseCounts: new Map([['3', 5]]) }).id, '1');
+  });
+
+  it('returns null when nothing matches closely enough', () => {
+    assert.equal(pickProduct('bananas', products), null);
+    assert.equal(pickProduct('mleko', []), null);
+  });
+});
@@ -0,0 +1,95 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Logger = require('../lib/Logger');
+const RequestLog = require('../lib/RequestLog');
+const loginFixture = require('./fixtures/login.json');
+
+function capture(level) {
+  const lines = [];
+  const logger = new Logger({ log: (...args) => lines.push(args.join(' ')), error: (...args) => lines.push(args.join(' ')), level });
+  return { logger, lines };
+}
+
+describe('Logger.redact', () => {
+  it('masks user and address data in the login response', () => {
+    const redacted = Logger.redact(loginFixture);
+
+    assert.equal(redacted.data.user.id, 123456);
+    assert.equal(redacted.data.user.name, '[redacted]');
+    assert.equal(redacted.data.user.email, '[redacted]');
+    assert.equal(redacted.data.address, '[redacted]');
+  });
+
+  it('keeps product names', () => {
+    const redacted = Logger.redact({ items: [{ productName: 'Mléko', name: 'Mléko' }] });
+    assert.deepEqual(redacted, { items: [{ productName: 'Mléko', name: 'Mléko' }] });
+  });
+
+  it('masks credentials and cookies', () => {
+    assert.deepEqual(Logger.redact({ username: 'a@b.cz', password: 'secret', Cookie: 'x=1' }), {
+      username: '[redacted]',
+      password: '[redacted]',
+      Cookie: '[redacted]'
+    });
+  });
+
+  it('masks emails and session cookies inside strings', () => {
+    assert.equal(
+      Logger.redact('Login for jan.novak@example.com with PHPSESSIONID=abc123; lang=cs'),
+      'Login for [redacted] with PHPSESSIONID=[redacted]; lang=cs'
+    );
+  });
+
+  it('does not modify the original', () => {
+    const data = { password: 'secret' };
+    Logger.redact(data);
+    assert.equal(data.password, 'secret');
+  });
+});
+
+describe('Logger', () => {
+  it('skips debug output unless debug logging is enabled', () => {
+    const { logger, lines } = capture('info');
+    logger.debug('response', { a: 1 });
+    logger.info('logged in');
+    assert.deepEqual(lines, ['logged in']);
+
+    logger.setLevel('debug');
+    logger.debug('response');
+    assert.deepEqual(lines, ['logged in', 'response']);
+  });
+
+  it('redacts everything it writes', () => {
+    const { logger, lines } = capture('debug');
+    logger.debug('Login response:', { user: { name: 'Jan Novák' } });
+
+    assert.ok(!lines[0].includes('Jan Novák'));
+    assert.ok(lines[0].includes('[redacted]'));
+  });
+
+  it('records requests without query strings', () => {
+    const requestLog = new RequestLog();
+    const logger = new Logger({ log: () => {}, requestLog });
+
+    logger.request({ method: 'GET', path: '/search?search=mleko&userId=1', status: 200, duration: 12 });
+
+    assert.equal(requestLog.toJSON().length, 1);
+    assert.deepEqual({ ...requestLog.toJSON()[0], time: null }, {
+      time: null,
+      method: 'GET',
+      path: '/search',
+      status: 200,
+      duration: 12
+    });
+  });
+});
+
+describe('RequestLog', () => {
+  it('keeps only the most recent entries', () => {
+    const requestLog = new RequestLog(3);
+    for (let i = 1; i <= 5; i++) requestLog.add({ method: 'GET', path: `/${i}`, status: 200 });
+
+    assert.deepEqual(requestLog.toJSON().map(e => e.path), ['/3', '/4', '/5']);
+  });
+});
@@ -0,0 +1,70 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildPurchaseHistory, estimateIntervals, getDueItems } = require('../lib/ReplenishmentEngine');
+
+const milk = (quantity = 1) => ({ id: 1, name: 'Milk', quantity });
+const bread = { id: 2, name: 'Bread', quantity: 1 };
+
+const orders = [
+  { date: '2024-05-01', items: [milk(2), bread] },
+  { date: '2024-05-08', items: [milk(2)] },
+  { date: '2024-05-15', items: [milk(3), bread] },
+  { date: '2024-05-29', items: [bread] }
+];
+
+describe('buildPurchaseHistory', () => {
+  it('groups purchases by product', () => {
+    const history = buildPurchaseHistory(orders);
+
+    assert.deepEqual(history.get(1).purchases, [
+      { date: '2024-05-01', quantity: 2 },
+      { date: '2024-05-08', quantity: 2 },
+      { date: '2024-05-15', quantity: 3 }
+    ]);
+    assert.equal(history.get(2).purchases.length, 3);
+  });
+
+  it('skips orders without a date or items', () => {
+    const history = buildPurchaseHistory([null, { items: [bread] }, { date: '2024-05-01' }]);
+    assert.equal(history.size, 0);
+  });
+});
+
+describe('estimateIntervals', () => {
+  it('uses the median gap between purchases and the median quantity', () => {
+    const [estimate] = estimateIntervals(orders, '2024-05-20').filter(e => e.id === 1);
+
+    assert.deepEqual(estimate, { id: 1, name: 'Milk', interval: 7, daysSince: 5, quantity: 2, due: false });
+  });
+
+  it('ignores products bought fewer than minPurchases times', () => {
+    const twice = orders.slice(0, 2);
+
+    assert.equal(estimateIntervals(twice, '2024-05-20').length, 0);
+    assert.equal(estimateIntervals(twice, '2024-05-20', { minPurchases: 2 }).length, 1);
+  });
+
+  it('counts several lines of a product in one order as one purchase', () => {
+    const duplicated = [
+      { date: '2024-05-01', items: [milk(), milk()] },
+      { date: '2024-05-03', items: [milk()] },
+      { date: '2024-05-05', items: [milk()] }
+    ];
+
+    assert.equal(estimateIntervals(duplicated, '2024-05-06')[0].interval, 2);
+  });
+
+  it('sorts the most overdue products first', () => {
+    const estimates = estimateIntervals(orders, '2024-05-30');
+    assert.deepEqual(estimates.map(e => e.id), [1, 2]);
+  });
+});
+
+describe('getDueItems', () => {
+  it('returns products at 85% of their interval or later', () => {
+    // Milk every 7 days, last on the 15th: due from the 21st (6 of 7 days)
+    assert.deepEqual(getDueItems(orders, '2024-05-20').map(e => e.id), []);
+    assert.deepEqual(getDueItems(orders, '2024-05-21').map(e => e.id), [1]);
+  });
+});
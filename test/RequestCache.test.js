@@ -0,0 +1,72 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const RequestCache = require('../lib/RequestCache');
+
+function counter(value = 'value') {
+  const fetcher = async () => {
+    fetcher.calls++;
+    return `${value}-${fetcher.calls}`;
+  };
+  fetcher.calls = 0;
+  return fetcher;
+}
+
+describe('RequestCache', () => {
+  it('serves a cached value until it expires', async () => {
+    const cache = new RequestCache();
+    const fetcher = counter();
+
+    assert.equal(await cache.get('/cart', 1000, fetcher, 0), 'value-1');
+    assert.equal(await cache.get('/cart', 1000, fetcher, Date.now()), 'value-1');
+    assert.equal(await cache.get('/cart', 1000, fetcher, Date.now() + 2000), 'value-2');
+  });
+
+  it('shares one request between concurrent callers', async () => {
+    const cache = new RequestCache();
+    const fetcher = counter();
+
+    const results = await Promise.all([cache.get('/cart', 1000, fetcher), cache.get('/cart', 1000, fetcher)]);
+
+    assert.deepEqual(results, ['value-1', 'value-1']);
+    assert.equal(fetcher.calls, 1);
+  });
+
+  it('does not cache failures', async () => {
+    const cache = new RequestCache();
+    let calls = 0;
+    const fetcher = async () => {
+      calls++;
+      if (calls === 1) throw new Error('HTTP 500');
+      return 'ok';
+    };
+
+    await assert.rejects(cache.get('/cart', 1000, fetcher), /HTTP 500/);
+    assert.equal(await cache.get('/cart', 1000, fetcher), 'ok');
+  });
+
+  it('invalidates only keys with the given prefix', async () => {
+    const cache = new RequestCache();
+    const cart = counter('cart');
+    const orders = counter('orders');
+
+    await cache.get('/cart?x=1', 1000, cart);
+    await cache.get('/orders', 1000, orders);
+    cache.invalidate('/cart');
+
+    assert.equal(await cache.get('/cart?x=1', 1000, cart), 'cart-2');
+    assert.equal(await cache.get('/orders', 1000, orders), 'orders-1');
+  });
+
+  it('does not store a response invalidated while it was loading', async () => {
+    const cache = new RequestCache();
+    let resolve;
+    const pending = cache.get('/cart', 1000, () => new Promise(r => { resolve = r; }));
+
+    cache.invalidate('/cart');
+    resolve('stale');
+    assert.equal(await pending, 'stale');
+
+    assert.equal(await cache.get('/cart', 1000, async () => 'fresh'), 'fresh');
+  });
+});
@@ -0,0 +1,402 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const RohlikClient = require('../lib/RohlikClient');
+const MockRohlikServer = require('./mock/server');
+const Logger = require('../lib/Logger');
+const RequestLog = require('../lib/RequestLog');
+const { AuthError, NotFoundError, RateLimitError, MaintenanceError, NetworkError, CircuitOpenError } = require('../lib/RohlikErrors');
+
+describe('RohlikClient', () => {
+  const server = new MockRohlikServer();
+  let baseUrl;
+  let client;
+  let requestLog;
+
+  before(async () => {
+    baseUrl = await server.start();
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  beforeEach(() => {
+    server.reset();
+    requestLog = new RequestLog();
+    const logger = new Logger({ log: () => {}, error: () => {}, requestLog });
+    client = new RohlikClient({ username: 'test@example.com', password: 'secret', country: 'CZ', baseUrl, logger });
+    client.minRequestInterval = 0;
+    client.retryBaseDelay = 1;
+  });
+
+  it('picks the site of the country unless a base URL is given', () => {
+    const knuspr = new RohlikClient({ username: 'a', password: 'b', country: 'de' });
+    assert.equal(knuspr.baseUrl, RohlikClient.COUNTRY_URLS.DE);
+
+    const unknown = new RohlikClient({ username: 'a', password: 'b', country: 'xx' });
+    assert.equal(unknown.baseUrl, RohlikClient.COUNTRY_URLS.CZ);
+
+    assert.equal(client.baseUrl, baseUrl);
+  });
+
+  it('logs in and keeps user, address and session cookies', async () => {
+    await client.login();
+
+    assert.equal(client.userId, 123456);
+    assert.equal(client.addressId, 654321);
+    assert.deepEqual(server.requests[0].body, { email: 'test@example.com', password: 'secret' });
+
+    await client.getCartContent();
+    assert.equal(server.requests[1].headers.cookie, 'PHPSESSIONID=session-1; lang=cs');
+  });
+
+  it('reports the login error message from the API', async () => {
+    server.respond('POST', '/services/frontend-service/login', {
+      status: 401,
+      body: { status: 401, messages: [{ content: 'Wrong password' }] }
+    });
+
+    await assert.rejects(client.login(), err => err instanceof AuthError && /Login failed: Wrong password/.test(err.message));
+  });
+
+  it('logs in again once when the session is rejected', async () => {
+    await client.login();
+    server.expireSession();
+
+    const cart = await client.getCartContent();
+
+    assert.equal(cart.items.length, 2);
+    assert.deepEqual(server.requests.map(r => `${r.method} ${r.path}`), [
+      'POST /services/frontend-service/login',
+      'GET /services/frontend-service/v2/cart',
+      'POST /services/frontend-service/login',
+      'GET /services/frontend-service/v2/cart'
+    ]);
+  });
+
+  it('shares one login between requests rejected by a stale session', async () => {
+    await client.login();
+    server.expireSession();
+
+    await Promise.all([
+      client.getCartContent(),
+      client.getUpcomingOrders(),
+      client.getDeliveryAnnouncements(),
+      client.getAddresses(),
+      client.getReusableBagsInfo(),
+      client.getOrderHistory(5)
+    ]);
+
+    assert.equal(server.requests.filter(r => r.path === '/services/frontend-service/login').length, 2);
+  });
+
+  it('gives up when the request is still unauthorized after re-login', async () => {
+    await client.login();
+    server.respond('GET', '/services/frontend-service/v2/cart', { status: 401, body: {} });
+
+    await assert.rejects(client.getCartContent(), err => err instanceof AuthError && err.type === 'auth');
+  });
+
+  it('maps cart items with their cart line IDs', async () => {
+    await client.login();
+    const cart = await client.getCartContent();
+
+    assert.equal(cart.totalPrice, 112.8);
+    assert.equal(cart.totalItems, 2);
+    assert.deepEqual(cart.items[0], {
+      id: '1294559',
+      cart_item_id: '98765001',
+      name: 'Mléko polotučné 1,5% 1 l',
+      quantity: 2,
+      price: 51.8,
+      pricePerUnit: 25.9,
+      currency: 'CZK'
+    });
+  });
+
+  it('maps search results', async () => {
+    await client.login();
+    const products = await client.searchProducts('mléko', 1);
+
+    assert.equal(server.requests[1].query.search, 'mléko');
+    assert.equal(server.requests[1].query.companyId, '1');
+    assert.equal(products.length, 1);
+    assert.deepEqual(products[0], {
+      id: '1294559',
+      name: 'Mléko polotučné 1,5% 1 l',
+      price: 25.9,
+      currency: 'CZK',
+      pricePerUnit: 25.9,
+      unit: 'l',
+      amount: '1 l',
+      brand: 'Kunín',
+      image: 'https://cdn.rohlik.cz/images/1294559.jpg',
+      inStock: true,
+      tags: [],
+      bio: false,
+      onSale: true,
+      categoryId: '300105000',
+      category: 'Mléko'
+    });
+  });
+
+  it('filters and sorts search results', async () => {
+    await client.login();
+
+    const bio = await client.searchProducts('mléko', 10, { bio: true });
+    assert.deepEqual(bio.map(p => p.id), ['1332471']);
+    assert.equal(bio[0].image, `${baseUrl}/cdn/images/1332471.jpg`);
+
+    const available = await client.searchProducts('mléko', 10, { inStock: true, brand: 'kunin' });
+    assert.deepEqual(available.map(p => p.id), ['1294559', '1332471']);
+
+    const cheapest = await client.searchProducts('mléko', 10, { sort: 'price' });
+    assert.deepEqual(cheapest.map(p => p.id), ['1332471', '1294559', '1294560']);
+
+    const cheapestPerLitre = await client.searchProducts('mléko', 10, { sort: 'price_per_unit' });
+    assert.deepEqual(cheapestPerLitre.map(p => p.id), ['1294559', '1294560', '1332471']);
+  });
+
+  it('searches with the confirmed company ID, falling back to that of rohlik.cz', async () => {
+    const knuspr = new RohlikClient({ username: 'a', password: 'b', country: 'de', baseUrl, logger: client.logger });
+    knuspr.minRequestInterval = 0;
+    await knuspr.login();
+    await knuspr.searchProducts('milch');
+
+    const search = server.requests.find(r => r.path === '/services/frontend-service/search-metadata');
+    assert.equal(search.query.companyId, '1');
+  });
+
+  it('requests slots for the logged in user and address', async () => {
+    await client.login();
+    const slots = await client.getDeliverySlots();
+
+    assert.deepEqual(server.requests[1].query, {
+      userId: '123456',
+      addressId: '654321',
+      reasonableDeliveryTime: 'true'
+    });
+    assert.equal(slots.preselectedSlots.length, 2);
+  });
+
+  it('lists saved addresses', async () => {
+    await client.login();
+    const addresses = await client.getAddresses();
+
+    assert.deepEqual(addresses, [
+      { id: '654321', name: 'Testovací 1, Praha', isDefault: true },
+      { id: '654322', name: 'Zkušební 12, Brno', isDefault: false }
+    ]);
+  });
+
+  it('uses the chosen address for slots and falls back to the default', async () => {
+    const chosen = new RohlikClient({ username: 'test@example.com', password: 'secret', baseUrl, logger: client.logger, addressId: 654322 });
+    chosen.minRequestInterval = 0;
+    await chosen.login();
+
+    assert.equal(chosen.addressId, '654322');
+    await chosen.getDeliverySlots();
+    await chosen.getDeliverySlots(654321);
+    assert.deepEqual(server.requests.slice(1).map(r => r.query.addressId), ['654322', '654321']);
+
+    chosen.setAddressId('');
+    assert.equal(chosen.addressId, 654321);
+  });
+
+  it('flattens delivery slots of all days', async () => {
+    await client.login();
+    const slots = RohlikClient.parseDeliverySlots(await client.getDeliverySlots());
+
+    assert.deepEqual(slots.map(s => [s.id, s.price, s.available]), [
+      ['6001', 49, true],
+      ['6002', 39, false],
+      ['6101', 0, true]
+    ]);
+  });
+
+  it('emits the reusable bags count', async () => {
+    await client.login();
+    let bags = null;
+    client.on('reusable_bags', count => { bags = count; });
+
+    await client.getReusableBagsInfo();
+
+    assert.equal(bags, 7);
+  });
+
+  it('maps items of a delivered order', async () => {
+    await client.login();
+    const items = await client.getOrderItems(31336001);
+
+    assert.equal(server.requests[1].path, '/api/v3/orders/31336001');
+    assert.deepEqual(items[0], { id: '1294559', name: 'Mléko polotučné 1,5% 1 l', quantity: 4 });
+  });
+
+  it('retries server errors and succeeds once they pass', async () => {
+    await client.login();
+    server.respond('GET', '/api/v3/orders/upcoming', { status: 502, body: {}, times: 2 });
+
+    const orders = await client.getUpcomingOrders();
+
+    assert.ok(Array.isArray(orders));
+    assert.equal(server.requests.filter(r => r.path === '/api/v3/orders/upcoming').length, 3);
+  });
+
+  it('gives up after the retries with a typed error', async () => {
+    await client.login();
+    server.respond('GET', '/api/v3/orders/upcoming', { status: 503, body: {} });
+
+    await assert.rejects(client.getUpcomingOrders(), err => err instanceof MaintenanceError && err.transient);
+    assert.equal(server.requests.filter(r => r.path === '/api/v3/orders/upcoming').length, client.maxRetries + 1);
+  });
+
+  it('does not retry a failed POST, which may have been processed', async () => {
+    await client.login();
+    server.respond('POST', '/services/frontend-service/v2/cart', { status: 500, body: {} });
+    server.respond('GET', '/api/v1/products/stocks', { body: { data: [{ productId: 1294559, inStock: false }] } });
+
+    await assert.rejects(client.addToCart('1294559'), { type: 'server', status: 500 });
+    assert.equal(server.requests.filter(r => r.method === 'POST' && r.path.endsWith('/v2/cart')).length, 1);
+    // A server failure says nothing about the stock
+    assert.equal(server.requests.filter(r => r.path === '/api/v1/products/stocks').length, 0);
+  });
+
+  it('retries rate limited requests of any method', async () => {
+    await client.login();
+    server.respond('POST', '/services/frontend-service/v2/cart', { status: 429, body: {}, headers: { 'Retry-After': '0' }, times: 1 });
+
+    assert.equal(await client.addToCart('1294559'), true);
+  });
+
+  it('reports a persistent rate limit with its Retry-After', async () => {
+    client.maxRetries = 0;
+    await client.login();
+    server.respond('GET', '/api/v3/orders/upcoming', { status: 429, body: {}, headers: { 'Retry-After': '30' } });
+
+    await assert.rejects(client.getUpcomingOrders(), err => err instanceof RateLimitError && err.retryAfter === 30);
+  });
+
+  it('raises a not-found error without retrying', async () => {
+    await client.login();
+    server.respond('GET', '/api/v3/orders/1', { status: 404, body: {} });
+
+    await assert.rejects(client.getOrderDetail(1), NotFoundError);
+    assert.equal(server.requests.length, 2);
+  });
+
+  it('raises an out-of-stock error when a sold-out product is added', async () => {
+    await client.login();
+    server.respond('POST', '/services/frontend-service/v2/cart', { status: 400, body: {} });
+    server.respond('GET', '/api/v1/products/stocks', { body: { data: [{ productId: 1294559, inStock: false }] } });
+
+    await assert.rejects(client.addToCart('1294559'), { type: 'out_of_stock', code: 'OUT_OF_STOCK', productId: '1294559' });
+  });
+
+  it('times out slow requests', async () => {
+    client.requestTimeout = 50;
+    client.maxRetries = 1;
+    await client.login();
+    server.respond('GET', '/api/v3/orders/upcoming', { body: {}, delay: 200 });
+
+    await assert.rejects(client.getUpcomingOrders(), err => err instanceof NetworkError && /Timeout/.test(err.message));
+    assert.equal(server.requests.filter(r => r.path === '/api/v3/orders/upcoming').length, 2);
+  });
+
+  it('skips an endpoint that keeps failing until its cooldown passed', async () => {
+    client.maxRetries = 0;
+    await client.login();
+    server.respond('GET', '/api/v3/orders/upcoming', { status: 500, body: {} });
+
+    for (let i = 0; i < client.circuitBreaker.threshold; i++) {
+      await assert.rejects(client.getUpcomingOrders(), { type: 'server' });
+    }
+    const sent = server.requests.length;
+
+    await assert.rejects(client.getUpcomingOrders(), CircuitOpenError);
+    assert.equal(server.requests.length, sent);
+
+    // Other endpoints are not affected
+    const cart = await client.getCartContent();
+    assert.equal(cart.items.length, 2);
+  });
+
+  it('records every attempt in the request log', async () => {
+    await client.login();
+    server.respond('GET', '/api/v3/orders/upcoming', { status: 502, body: {}, times: 1 });
+    await client.getUpcomingOrders();
+
+    assert.deepEqual(requestLog.toJSON().map(e => [e.method, e.path, e.status]), [
+      ['POST', '/services/frontend-service/login', 200],
+      ['GET', '/api/v3/orders/upcoming', 502],
+      ['GET', '/api/v3/orders/upcoming', 200]
+    ]);
+    assert.ok(requestLog.toJSON().every(e => typeof e.duration === 'number'));
+  });
+
+  it('serves repeated reads from the cache', async () => {
+    await client.login();
+    await Promise.all([client.getCartContent(), client.getCartContent()]);
+    await client.getCartContent();
+    await client.getUpcomingOrders();
+
+    assert.equal(server.requests.filter(r => r.path === '/services/frontend-service/v2/cart').length, 1);
+  });
+
+  it('invalidates only cart data after a cart change', async () => {
+    await client.login();
+    await client.getCartContent();
+    await client.getUpcomingOrders();
+
+    await client.addToCart('1294559', 2);
+    await client.getCartContent();
+    await client.getUpcomingOrders();
+
+    assert.equal(server.requests.filter(r => r.method === 'GET' && r.path === '/services/frontend-service/v2/cart').length, 2);
+    assert.equal(server.requests.filter(r => r.path === '/api/v3/orders/upcoming').length, 1);
+  });
+
+  it('adds an item to a placed order and refreshes the upcoming orders', async () => {
+    await client.login();
+    await client.getUpcomingOrders();
+
+    await client.addToOrder('31337001', '1294559', 2);
+    await client.getUpcomingOrders();
+
+    const add = server.requests.find(r => r.method === 'POST' && r.path === '/api/v3/orders/31337001/items');
+    assert.deepEqual(add.body, { productId: 1294559, quantity: 2 });
+    assert.equal(server.requests.filter(r => r.path === '/api/v3/orders/upcoming').length, 2);
+  });
+
+  it('refreshes the order details after removing an item from the order', async () => {
+    await client.login();
+    await client.getOrderDetail('31337001', { upcoming: true });
+
+    await client.removeFromOrder('31337001', '1294559');
+    await client.getOrderDetail('31337001', { upcoming: true });
+
+    assert.equal(server.requests.filter(r => r.method === 'GET' && r.path === '/api/v3/orders/31337001').length, 2);
+  });
+
+  it('bypasses the cache after clearCache', async () => {
+    await client.login();
+    await client.getUpcomingOrders();
+    client.clearCache();
+    await client.getUpcomingOrders();
+
+    assert.equal(server.requests.filter(r => r.path === '/api/v3/orders/upcoming').length, 2);
+  });
+
+  it('restores an exported session without logging in', async () => {
+    await client.login();
+    const session = client.exportSession();
+
+    const restored = new RohlikClient({ username: 'test@example.com', password: 'secret', baseUrl, logger: client.logger });
+    restored.minRequestInterval = 0;
+
+    assert.equal(restored.restoreSession(session), true);
+    await restored.getCartContent();
+
+    assert.equal(server.requests.filter(r => r.path === '/services/frontend-service/login').length, 1);
+  });
+});
@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { addDays, getPeriodStart, normalizeOrder, summarizeSpending } = require('../lib/SpendingAnalytics');
+
+describe('addDays', () => {
+  it('crosses month and year boundaries', () => {
+    assert.equal(addDays('2024-02-28', 2), '2024-03-01');
+    assert.equal(addDays('2024-01-01', -1), '2023-12-31');
+  });
+});
+
+describe('getPeriodStart', () => {
+  it('starts weeks on Monday', () => {
+    assert.equal(getPeriodStart('2024-05-15', 'week'), '2024-05-13'); // Wednesday
+    assert.equal(getPeriodStart('2024-05-13', 'week'), '2024-05-13'); // Monday
+    assert.equal(getPeriodStart('2024-05-19', 'week'), '2024-05-13'); // Sunday
+  });
+
+  it('starts months on the first and counts 30 days including today', () => {
+    assert.equal(getPeriodStart('2024-05-15', 'month'), '2024-05-01');
+    assert.equal(getPeriodStart('2024-03-01', '30_days'), '2024-02-01');
+  });
+
+  it('rejects unknown periods', () => {
+    assert.throws(() => getPeriodStart('2024-05-15', 'year'), /Unknown period/);
+  });
+});
+
+describe('normalizeOrder', () => {
+  it('reads the total and currency of an order', () => {
+    const order = { id: 31337, orderTime: '2024-05-10T09:00:00Z', priceComposition: { total: { amount: '1543.2', currency: 'CZK' } } };
+    assert.deepEqual(normalizeOrder(order), { id: '31337', time: '2024-05-10T09:00:00Z', total: 1543.2, currency: 'CZK' });
+  });
+
+  it('falls back to zero without a price', () => {
+    assert.deepEqual(normalizeOrder({ id: 1 }), { id: '1', time: null, total: 0, currency: null });
+  });
+});
+
+describe('summarizeSpending', () => {
+  const orders = [
+    { localDate: '2024-04-30', total: 500, currency: 'CZK' },
+    { localDate: '2024-05-01', total: 100.1, currency: 'CZK' },
+    { localDate: '2024-05-10', total: 200.2, currency: 'CZK' },
+    { localDate: '2024-05-31', total: 300, currency: 'CZK' },
+    { localDate: null, total: 999, currency: 'CZK' }
+  ];
+
+  it('sums orders within the inclusive range', () => {
+    assert.deepEqual(summarizeSpending(orders, '2024-05-01', '2024-05-31'), {
+      total: 600.3,
+      count: 3,
+      average: 200.1,
+      currency: 'CZK'
+    });
+  });
+
+  it('returns zeros for a range without orders', () => {
+    assert.deepEqual(summarizeSpending(orders, '2024-06-01', '2024-06-30'), {
+      total: 0,
+      count: 0,
+      average: 0,
+      currency: null
+    });
+  });
+});
@@ -0,0 +1,134 @@
+// Local stand-in for the Rohlik API, serving recorded fixtures from test/fixtures.
+// Run `npm run mock-server` and set ROHLIK_BASE_URL in env.json to use it with the app.
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+const SESSION_COOKIE = 'PHPSESSIONID';
+
+const ROUTES = [
+  { method: 'POST', path: '/services/frontend-service/login', fixture: 'login', auth: false },
+  { method: 'POST', path: '/services/frontend-service/logout', body: { status: 200 } },
+  { method: 'GET', path: '/services/frontend-service/v2/cart', fixture: 'cart' },
+  { method: 'POST', path: '/services/frontend-service/v2/cart', body: { status: 200 } },
+  { method: 'PUT', path: '/services/frontend-service/v2/cart', body: { status: 200 } },
+  { method: 'DELETE', path: '/services/frontend-service/v2/cart', body: { status: 200 } },
+  { method: 'GET', path: '/services/frontend-service/search-metadata', fixture: 'search' },
+  { method: 'GET', path: '/services/frontend-service/timeslots-api/0', fixture: 'timeslots' },
+  { method: 'GET', path: '/services/frontend-service/v1/delivery-addresses', fixture: 'delivery-addresses' },
+  { method: 'GET', path: '/services/frontend-service/announcements/delivery', fixture: 'announcements-delivery' },
+  { method: 'GET', path: '/services/frontend-service/announcements/top', fixture: 'announcements-top' },
+  { method: 'GET', path: '/api/v3/orders/upcoming', fixture: 'orders-upcoming' },
+  { method: 'GET', path: '/api/v3/orders/delivered', fixture: 'orders-delivered' },
+  { method: 'GET', path: /^\/api\/v3\/orders\/\d+$/, fixture: 'order-detail' },
+  { method: 'POST', path: /^\/api\/v3\/orders\/\d+\/items$/, body: { status: 200 } },
+  { method: 'DELETE', path: /^\/api\/v3\/orders\/\d+\/items\/\d+$/, body: { status: 200 } },
+  { method: 'GET', path: '/api/v1/reusable-bags/user-info', fixture: 'reusable-bags' }
+];
+
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf8'));
+}
+
+function matches(route, method, pathname) {
+  if (route.method !== method) return false;
+  return route.path instanceof RegExp ? route.path.test(pathname) : route.path === pathname;
+}
+
+class MockRohlikServer {
+  constructor() {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    this.requests = [];
+    this.overrides = [];
+    this.sessionId = 0;
+    this.validSession = null;
+  }
+
+  async start(port = 0) {
+    await new Promise(resolve => this.server.listen(port, '127.0.0.1', resolve));
+    this.baseUrl = `http://127.0.0.1:${this.server.address().port}`;
+    return this.baseUrl;
+  }
+
+  async stop() {
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  // Replaces the response of one endpoint. `times` limits how often it applies,
+  // `delay` holds the response back (ms) to simulate a slow server.
+  respond(method, pathname, { status = 200, body = {}, headers = {}, times = Infinity, delay = 0 }) {
+    this.overrides.unshift({ method, path: pathname, status, body, headers, times, delay });
+  }
+
+  // Invalidates the current session so the next authenticated request gets a 401
+  expireSession() {
+    this.validSession = null;
+  }
+
+  reset() {
+    this.requests = [];
+    this.overrides = [];
+    this.validSession = null;
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const body = await new Promise(resolve => {
+      let data = '';
+      req.on('data', chunk => { data += chunk; });
+      req.on('end', () => resolve(data));
+    });
+
+    this.requests.push({
+      method: req.method,
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      headers: req.headers,
+      body: body ? JSON.parse(body) : null
+    });
+
+    const override = this.overrides.find(o => o.times > 0 && matches(o, req.method, url.pathname));
+    if (override) {
+      override.times--;
+      if (override.delay) await new Promise(resolve => setTimeout(resolve, override.delay));
+      return this.send(res, override.status, override.body, override.headers);
+    }
+
+    const route = ROUTES.find(r => matches(r, req.method, url.pathname));
+    if (!route) {
+      return this.send(res, 404, { status: 404, messages: [{ content: 'Not found' }] });
+    }
+
+    if (route.auth === false) {
+      this.sessionId++;
+      this.validSession = `session-${this.sessionId}`;
+      return this.send(res, 200, loadFixture(route.fixture), {
+        'Set-Cookie': [`${SESSION_COOKIE}=${this.validSession}; Path=/; HttpOnly`, 'lang=cs; Path=/']
+      });
+    }
+
+    const cookies = req.headers.cookie || '';
+    if (!this.validSession || !cookies.includes(`${SESSION_COOKIE}=${this.validSession}`)) {
+      return this.send(res, 401, { status: 401, messages: [{ content: 'Unauthorized' }] });
+    }
+
+    return this.send(res, 200, route.fixture ? loadFixture(route.fixture) : route.body);
+  }
+
+  send(res, status, body, headers = {}) {
+    // The client may have given up on a delayed response already
+    if (res.destroyed) return;
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  }
+}
+
+module.exports = MockRohlikServer;
+
+if (require.main === module) {
+  const server = new MockRohlikServer();
+  server.start(parseInt(process.env.PORT, 10) || 3000).then(baseUrl => {
+    console.log(`Mock Rohlik API listening on ${baseUrl}`);
+  });
+}
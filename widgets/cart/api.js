@@ -0,0 +1,46 @@
+// Backs the dashboard widget with the device's own client and capability values.
+
+module.exports = {
+  async getState({ homey }) {
+    const device = homey.app.getDevice();
+    const cart = await device.client.getCartContent();
+
+    return {
+      locale: device.i18n.locale,
+      currency: device.i18n.currency,
+      cart,
+      delivery: {
+        status: device.getCapabilityValue('string_next_delivery_status'),
+        eta: device.getCapabilityValue('measure_next_delivery_eta'),
+        etaAt: device.deliveryEtaAt || null,
+        windowStart: device.getCapabilityValue('delivery_window_start'),
+        windowEnd: device.getCapabilityValue('delivery_window_end')
+      },
+      slots: {
+        express: device.getCapabilityValue('delivery_express'),
+        common: device.getCapabilityValue('delivery_common'),
+        eco: device.getCapabilityValue('delivery_eco')
+      }
+    };
+  },
+
+  async addItem({ homey, body }) {
+    const device = homey.app.getDevice();
+    await device.onFlowActionAddItemById({ product_id: String(body.productId || ''), pieces: 1 });
+  },
+
+  async setQuantity({ homey, params, body }) {
+    const device = homey.app.getDevice();
+    await device.onFlowActionSetItemQuantity({
+      product_in_cart: { id: params.cartItemId },
+      quantity: parseInt(body.quantity, 10) || 0
+    });
+  },
+
+  async search({ homey, query }) {
+    if (!query.q) return [];
+
+    const device = homey.app.getDevice();
+    return device.client.searchProducts(query.q, 8);
+  }
+};